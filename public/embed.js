@@ -0,0 +1,88 @@
+/*
+ * GenAI Stack chat widget.
+ *
+ * Adds a launcher button that opens a published stack's chat page in an
+ * iframe. Copy the snippet from "Share" in the builder, e.g.
+ *
+ *   <script src="https://stacks.example.com/embed.js"
+ *     data-stack="wf_abc123"
+ *     data-theme="dark"
+ *     data-accent="#16a34a"
+ *     data-position="left"
+ *     async></script>
+ *
+ * Attributes: data-stack (required), data-version, data-theme, data-accent,
+ * data-title, data-greeting, data-readonly, data-position.
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script || !script.dataset.stack) {
+    console.error('GenAI Stack widget: missing data-stack attribute');
+    return;
+  }
+
+  var options = script.dataset;
+  var base = script.src.replace(/embed\.js(\?.*)?$/, '');
+  var accent = /^#[0-9a-f]{6}$/i.test(options.accent || '') ? options.accent : '#2563eb';
+  var side = options.position === 'left' ? 'left' : 'right';
+
+  var params = new URLSearchParams({ share: options.stack, embed: '1' });
+  ['version', 'theme', 'title', 'greeting'].forEach(function (name) {
+    if (options[name]) params.set(name, options[name]);
+  });
+  params.set('accent', accent);
+  if (options.readonly === 'true' || options.readonly === '1') params.set('readonly', '1');
+
+  var frame = document.createElement('iframe');
+  frame.title = options.title || 'Chat';
+  frame.allow = 'clipboard-write';
+  frame.style.cssText = [
+    'position:fixed', 'bottom:88px', side + ':20px', 'z-index:2147483000',
+    'width:380px', 'height:560px', 'max-width:calc(100vw - 40px)', 'max-height:calc(100vh - 108px)',
+    'border:none', 'border-radius:12px', 'box-shadow:0 12px 32px rgba(0,0,0,0.2)',
+    'display:none', 'background:transparent'
+  ].join(';');
+
+  var button = document.createElement('button');
+  button.type = 'button';
+  button.setAttribute('aria-label', 'Open chat');
+  button.style.cssText = [
+    'position:fixed', 'bottom:20px', side + ':20px', 'z-index:2147483000',
+    'width:56px', 'height:56px', 'border:none', 'border-radius:50%', 'cursor:pointer',
+    'background:' + accent, 'color:#fff', 'box-shadow:0 4px 12px rgba(0,0,0,0.25)',
+    'display:flex', 'align-items:center', 'justify-content:center'
+  ].join(';');
+  var chatIcon = '<svg width="26" height="26" viewBox="0 0 24 24" fill="none" stroke="currentColor" '
+    + 'stroke-width="2" stroke-linecap="round" stroke-linejoin="round">'
+    + '<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>';
+  var closeIcon = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" '
+    + 'stroke-width="2" stroke-linecap="round" stroke-linejoin="round">'
+    + '<path d="M18 6 6 18M6 6l12 12"/></svg>';
+  button.innerHTML = chatIcon;
+
+  var isOpen = false;
+  var setOpen = function (open) {
+    isOpen = open;
+    // Load the page on first open only
+    if (open && !frame.src) frame.src = base + '?' + params.toString();
+    frame.style.display = open ? 'block' : 'none';
+    button.innerHTML = open ? closeIcon : chatIcon;
+    button.setAttribute('aria-label', open ? 'Close chat' : 'Open chat');
+  };
+
+  button.addEventListener('click', function () { setOpen(!isOpen); });
+
+  // The chat page asks to be closed from its own header
+  window.addEventListener('message', function (event) {
+    if (event.source === frame.contentWindow && event.data && event.data.type === 'genai-stack:close') {
+      setOpen(false);
+    }
+  });
+
+  var mount = function () {
+    document.body.appendChild(frame);
+    document.body.appendChild(button);
+  };
+  if (document.body) mount();
+  else document.addEventListener('DOMContentLoaded', mount);
+}());
@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import ReactFlow, {
   ReactFlowProvider,
   addEdge,
@@ -6,87 +6,262 @@ import ReactFlow, {
   useEdgesState,
   Controls,
   Background,
-  Handle,
-  Position
+  MiniMap
 } from 'reactflow';
 import 'reactflow/dist/style.css';
 import {
-  MessageSquare,
-  Database,
-  Bot,
-  ArrowRightCircle,
   X,
-  Send,
   Save,
-  Play
+  Play,
+  BookmarkPlus,
+  Library,
+  Download,
+  Upload,
+  AlertCircle,
+  CheckCircle,
+  Undo2,
+  Redo2,
+  LayoutTemplate,
+  Workflow,
+  Grid,
+  Map as MapIcon,
+  Group,
+  AlignStartVertical,
+  AlignCenterVertical,
+  AlignEndVertical,
+  AlignStartHorizontal,
+  AlignCenterHorizontal,
+  AlignEndHorizontal,
+  AlignHorizontalDistributeCenter,
+  AlignVerticalDistributeCenter,
+  CopyPlus,
+  FlaskConical,
+  Settings,
+  ServerOff,
+  ListChecks,
+  Share2,
+  BarChart3
 } from 'lucide-react';
+import WorkflowLibrary from './components/WorkflowLibrary';
+import TemplateGallery from './components/TemplateGallery';
+import EvaluationPanel from './components/EvaluationPanel';
+import ShareDialog from './components/ShareDialog';
+import MetricsDashboard from './components/MetricsDashboard';
+import ApiSettings from './components/ApiSettings';
+import ValidationPanel from './components/ValidationPanel';
+import ExecutionPlanPanel from './components/ExecutionPlanPanel';
+import ChatSessionBar from './components/ChatSessionBar';
+import ChatPanel from './components/ChatPanel';
+import CustomNode from './components/CustomNode';
+import GroupNode, { FrameActionsContext } from './components/GroupNode';
+import SchemaFields from './components/SchemaFields';
+import { listNodeTypes, getNodeType } from './nodes';
+import useUndoRedo from './hooks/useUndoRedo';
+import useDocumentUploads from './hooks/useDocumentUploads';
+import useStackChat from './hooks/useStackChat';
+import { saveWorkflow, toStoredGraph, saveDraft, loadDraft } from './utils/workflowStorage';
+import { buildWorkflowPayload } from './utils/workflowPayload';
+import { exportWorkflowFile, parseWorkflowFile } from './utils/workflowFile';
+import { validateGraph, hasErrors } from './utils/workflowValidation';
+import {
+  DRAFT_WORKFLOW,
+  GREETING,
+  listSessions,
+  createSession,
+  updateSession,
+  deleteSession,
+  forkSession,
+  reassignSessions,
+  sessionToJson,
+  sessionToMarkdown
+} from './utils/chatSessions';
+import { downloadFile, slugify } from './utils/download';
+import { apiRequest, getApiSettings, saveApiSettings } from './utils/apiClient';
+import { getMockSettings, saveMockSettings } from './utils/mockBackend';
+import { normalizePlan, diffPlans, getLastBuild, saveLastBuild } from './utils/executionPlan';
+import { nodeStates } from './utils/executionTrace';
+import { resetInterruptedUploads } from './utils/documents';
+import { instantiateTemplate } from './utils/starterTemplates';
+import { PASTE_OFFSET, cloneGraph, copySelection, parseClipboard } from './utils/canvasClipboard';
+import { createNodeId } from './utils/ids';
+import { FALLBACK_MODELS, fetchModelCatalog } from './utils/modelCatalog';
+import { FRAME_TYPE, isFrame, groupNodes, ungroupFrame, collapseFrames } from './utils/canvasGroups';
+import {
+  GRID_SIZE,
+  autoLayout,
+  alignNodes,
+  distributeNodes,
+  loadCanvasPrefs,
+  saveCanvasPrefs
+} from './utils/canvasLayout';
 import './App.css';
 
 // --- Custom Node Components --- //
-const CustomNode = ({ data, icon: Icon, label, color }) => (
-  <div style={{
-    padding: '10px 15px',
-    background: 'white',
-    border: '1px solid #ccc',
-    borderRadius: '8px',
-    minWidth: '150px',
-    boxShadow: '0 2px 4px rgba(0,0,0,0.05)',
-    display: 'flex',
-    alignItems: 'center',
-    gap: '8px'
-  }}>
-    <Handle type="target" position={Position.Left} style={{ background: '#555' }} />
-    <div style={{
-      background: color || '#eff6ff',
-      padding: '6px',
-      borderRadius: '6px',
-      color: '#2563eb',
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'center'
-    }}>
-      <Icon size={16} />
-    </div>
-    <div>
-      <div style={{ fontSize: '14px', fontWeight: '600' }}>{label}</div>
-      <div style={{ fontSize: '10px', color: '#666' }}>{data.subtext || 'Configure...'}</div>
-    </div>
-    <Handle type="source" position={Position.Right} style={{ background: '#555' }} />
-  </div>
-);
-
-const nodeTypes = {
-  inputNode: (props) => <CustomNode {...props} icon={MessageSquare} label="User Query" color="#dbeafe" />,
-  llmNode: (props) => <CustomNode {...props} icon={Bot} label="LLM Engine" color="#fef3c7" />,
-  knowledgeNode: (props) => <CustomNode {...props} icon={Database} label="Knowledge Base" color="#d1fae5" />,
-  outputNode: (props) => <CustomNode {...props} icon={ArrowRightCircle} label="Output" color="#fce7f3" />,
-};
+// One ReactFlow renderer per registered node type, plus canvas group frames
+const nodeTypes = Object.fromEntries([[FRAME_TYPE, GroupNode], ...listNodeTypes().map((definition) => [
+  definition.type,
+  (props) => (
+    <CustomNode
+      {...props}
+      icon={definition.icon}
+      label={definition.label}
+      color={definition.color}
+      hasInput={definition.hasInput}
+      outputs={definition.outputs?.(props.data)}
+    />
+  )
+])]);
 
-// --- API Configuration --- //
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
+// --- Canvas Toolbar --- //
+const ALIGN_BUTTONS = [
+  { mode: 'left', title: 'Align left edges', icon: AlignStartVertical },
+  { mode: 'center', title: 'Align horizontal centers', icon: AlignCenterVertical },
+  { mode: 'right', title: 'Align right edges', icon: AlignEndVertical },
+  { mode: 'top', title: 'Align top edges', icon: AlignStartHorizontal },
+  { mode: 'middle', title: 'Align vertical centers', icon: AlignCenterHorizontal },
+  { mode: 'bottom', title: 'Align bottom edges', icon: AlignEndHorizontal }
+];
 
 // --- Main Application --- //
 const App = () => {
   const reactFlowWrapper = useRef(null);
-  const [nodes, setNodes, onNodesChange] = useNodesState([]);
-  const [edges, setEdges, onEdgesChange] = useEdgesState([]);
+  const importInputRef = useRef(null);
+  const [draft] = useState(loadDraft);
+  const [nodes, setNodes, onNodesChange] = useNodesState(resetInterruptedUploads(draft?.nodes || []));
+  const [edges, setEdges, onEdgesChange] = useEdgesState(draft?.edges || []);
   const [reactFlowInstance, setReactFlowInstance] = useState(null);
   const [selectedNode, setSelectedNode] = useState(null);
   const [isChatOpen, setIsChatOpen] = useState(false);
   const [toast, setToast] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
+  // Workflow Library State
+  const [workflowId, setWorkflowId] = useState(draft?.workflowId || null);
+  const [workflowName, setWorkflowName] = useState(draft?.workflowName || 'Untitled Stack');
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+  const [isTemplatesOpen, setIsTemplatesOpen] = useState(false);
+  const [isEvaluationOpen, setIsEvaluationOpen] = useState(false);
+  const [isShareOpen, setIsShareOpen] = useState(false);
+  const [isMetricsOpen, setIsMetricsOpen] = useState(false);
+
+  // Canvas preferences (snap-to-grid, minimap)
+  const [canvasPrefs, setCanvasPrefs] = useState(loadCanvasPrefs);
+  useEffect(() => {
+    saveCanvasPrefs(canvasPrefs);
+  }, [canvasPrefs]);
+  const workflowKey = workflowId || DRAFT_WORKFLOW;
+
+  // Backend connection (URL and access token, editable in Settings)
+  const [apiSettings, setApiSettings] = useState(getApiSettings);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  // Offline mock backend (utils/mockBackend), toggled in the header
+  const [mockSettings, setMockSettings] = useState(getMockSettings);
+
+  // Model catalog (backend list, or built-in fallback when offline)
+  const [modelCatalog, setModelCatalog] = useState({ models: FALLBACK_MODELS, source: 'builtin' });
+  useEffect(() => {
+    fetchModelCatalog().then(setModelCatalog);
+  }, [apiSettings, mockSettings.enabled]);
+
+  // Validation State
+  const [isValidationOpen, setIsValidationOpen] = useState(false);
+  const validationIssues = useMemo(
+    () => validateGraph(nodes, edges, { models: modelCatalog.models }),
+    [nodes, edges, modelCatalog.models]
+  );
+
+  // Execution plan of the last "Build Stack", with the diff to the build before
+  const [lastBuild, setLastBuild] = useState(null);
+  const [isPlanOpen, setIsPlanOpen] = useState(false);
+  useEffect(() => {
+    setLastBuild(null);
+    setIsPlanOpen(false);
+  }, [workflowKey]);
+
   // Chat State
-  const [chatHistory, setChatHistory] = useState([
-    { role: 'ai', content: 'Hi! I am your GenAI Stack assistant. Build a flow and ask me anything.' }
-  ]);
-  const [query, setQuery] = useState('');
+  const [chatHistory, setChatHistory] = useState([GREETING]);
+  const [chatSessions, setChatSessions] = useState([]);
+  const [activeSessionId, setActiveSessionId] = useState(null);
 
   // Show toast notification
-  const showToast = (message, type = 'error') => {
+  // Stable, so children can list it in effect dependencies
+  const showToast = useCallback((message, type = 'error', duration = 3000) => {
     setToast({ message, type });
-    setTimeout(() => setToast(null), 3000);
-  };
+    setTimeout(() => setToast(null), duration);
+  }, []);
+
+  const {
+    send: sendChat,
+    stop: stopChat,
+    cancel: cancelChat,
+    isStreaming,
+    runTrace,
+    setRunTrace
+  } = useStackChat({
+    setChatHistory,
+    onRetry: ({ attempt }) => showToast(`Connection dropped, retrying (${attempt})...`)
+  });
+
+  // Load the chat sessions that belong to the current workflow
+  useEffect(() => {
+    let sessions = listSessions(workflowKey);
+    if (!sessions.length) {
+      createSession(workflowKey);
+      sessions = listSessions(workflowKey);
+    }
+    const latest = [...sessions].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+    setChatSessions(sessions);
+    setActiveSessionId(latest.id);
+    setChatHistory(latest.messages);
+  }, [workflowKey]);
+
+  // A reply still streaming belongs to the conversation it was asked in:
+  // abandon it when another session or workflow is opened
+  useEffect(() => cancelChat, [activeSessionId, workflowKey, cancelChat]);
+
+  // Persist the active conversation once a response has finished streaming
+  useEffect(() => {
+    if (!activeSessionId || chatHistory.some((m) => m.isStreaming)) return;
+    updateSession(activeSessionId, { messages: chatHistory });
+    setChatSessions(listSessions(workflowKey));
+  }, [chatHistory, activeSessionId, workflowKey]);
+
+  // Undo / Redo History
+  const syncSelectionAfterRestore = useCallback((snapshot) => {
+    setSelectedNode((prev) => (prev && snapshot.nodes.find((n) => n.id === prev.id)) || null);
+  }, []);
+  const { takeSnapshot, holdSnapshot, releaseSnapshot, undo, redo, canUndo, canRedo } = useUndoRedo({
+    nodes,
+    edges,
+    setNodes,
+    setEdges,
+    onRestore: syncSelectionAfterRestore
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      // Leave text fields to the browser's own undo
+      const tag = event.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || event.target.isContentEditable) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Mirror the canvas to localStorage so unsaved edits survive a reload
+  useEffect(() => {
+    saveDraft({ workflowId, workflowName, ...toStoredGraph(nodes, edges) });
+  }, [nodes, edges, workflowId, workflowName]);
 
   // 1. Drag & Drop Logic
   const onDragStart = (event, nodeType, label) => {
@@ -109,15 +284,16 @@ const App = () => {
       });
 
       const newNode = {
-        id: `node_${+new Date()}`,
+        id: createNodeId(),
         type,
         position,
-        data: { label: label, subtext: 'Not Configured' },
+        data: { label: label, subtext: 'Not Configured', ...getNodeType(type)?.defaults() },
       };
 
+      takeSnapshot();
       setNodes((nds) => nds.concat(newNode));
     },
-    [reactFlowInstance, setNodes]
+    [reactFlowInstance, setNodes, takeSnapshot]
   );
 
   const onDragOver = useCallback((event) => {
@@ -125,283 +301,557 @@ const App = () => {
     event.dataTransfer.dropEffect = 'move';
   }, []);
 
-  const onConnect = useCallback((params) => setEdges((eds) => addEdge(params, eds)), [setEdges]);
+  const onConnect = useCallback((params) => {
+    takeSnapshot();
+    setEdges((eds) => addEdge(params, eds));
+  }, [setEdges, takeSnapshot]);
+
+  // Record deletions before ReactFlow applies them; moves are recorded below
+  const handleNodesChange = useCallback((changes) => {
+    if (changes.some((c) => c.type === 'remove')) takeSnapshot();
+    onNodesChange(changes);
+  }, [onNodesChange, takeSnapshot]);
+
+  const handleEdgesChange = useCallback((changes) => {
+    if (changes.some((c) => c.type === 'remove')) takeSnapshot();
+    onEdgesChange(changes);
+  }, [onEdgesChange, takeSnapshot]);
+
+  // A drag is one undo step, recorded only if a node actually moved (a click
+  // also fires drag start/stop)
+  const dragStart = useRef(null);
+  const handleNodeDragStart = useCallback((event, node, dragged) => {
+    dragStart.current = new Map(dragged.map((n) => [n.id, n.position]));
+    holdSnapshot();
+  }, [holdSnapshot]);
+
+  const handleNodeDragStop = useCallback((event, node, dragged) => {
+    const start = dragStart.current;
+    dragStart.current = null;
+    releaseSnapshot(dragged.some((n) => {
+      const from = start?.get(n.id);
+      return !from || from.x !== n.position.x || from.y !== n.position.y;
+    }));
+  }, [releaseSnapshot]);
 
   // 2. Node Selection for Config Panel
-  const onNodeClick = (event, node) => setSelectedNode(node);
+  const onNodeClick = (event, node) => setSelectedNode(isFrame(node) ? null : node);
 
   // 3. Update Node Data from Config Panel
   const updateNodeData = (key, value) => {
     if (!selectedNode) return;
+    const definition = getNodeType(selectedNode.type);
+    takeSnapshot(`${selectedNode.id}:${key}`);
     setNodes((nds) =>
       nds.map((n) => {
         if (n.id === selectedNode.id) {
           const newData = { ...n.data, [key]: value };
           // Update visual subtext for better UX
-          if (key === 'model') newData.subtext = value;
-          if (key === 'filename') newData.subtext = value;
-          if (key === 'embeddingModel') newData.subtext = value;
+          const subtext = definition?.subtext[key]?.(value, newData);
+          if (subtext) newData.subtext = subtext;
           return { ...n, data: newData };
         }
         return n;
       })
     );
     setSelectedNode((prev) => ({ ...prev, data: { ...prev.data, [key]: value } }));
+
+    // Drop connections from output handles that no longer exist (e.g. a removed Router route)
+    if (definition?.outputs) {
+      const handles = new Set(definition.outputs({ ...selectedNode.data, [key]: value }).map((o) => o.id));
+      setEdges((eds) => {
+        const kept = eds.filter((e) => e.source !== selectedNode.id || handles.has(e.sourceHandle));
+        return kept.length === eds.length ? eds : kept;
+      });
+    }
   };
 
   // 4. Validate Workflow
   const validateWorkflow = () => {
-    // Check for required components
-    const hasInput = nodes.some(n => n.type === 'inputNode');
-    const hasOutput = nodes.some(n => n.type === 'outputNode');
-    const hasLLM = nodes.some(n => n.type === 'llmNode');
-
-    if (!hasInput) {
-      showToast('Workflow must have a User Query component');
-      return false;
-    }
-    if (!hasOutput) {
-      showToast('Workflow must have an Output component');
-      return false;
-    }
-    if (!hasLLM) {
-      showToast('Workflow must have an LLM Engine component');
-      return false;
-    }
+    if (!hasErrors(validationIssues)) return true;
 
-    // Check for connections
-    if (edges.length === 0) {
-      showToast('Components must be connected');
-      return false;
-    }
+    const errorCount = validationIssues.filter((i) => i.severity === 'error').length;
+    setIsValidationOpen(true);
+    showToast(`Workflow has ${errorCount} problem(s) - see the validation panel`);
+    return false;
+  };
 
-    return true;
+  const focusNode = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId);
+    if (!node || !reactFlowInstance) return;
+    reactFlowInstance.fitView({ nodes: [{ id: nodeId }], duration: 400, padding: 0.6 });
+    setSelectedNode(node);
   };
 
+  // Zoom to the nodes an issue refers to and open the first one for editing
+  const focusIssue = (issue) => {
+    const edgeNodeIds = edges
+      .filter((e) => issue.edgeIds.includes(e.id))
+      .flatMap((e) => [e.source, e.target]);
+    const ids = [...new Set([...issue.nodeIds, ...edgeNodeIds])];
+    if (!ids.length || !reactFlowInstance) return;
+
+    reactFlowInstance.fitView({ nodes: ids.map((id) => ({ id })), duration: 400, padding: 0.6 });
+    const node = nodes.find((n) => n.id === ids[0]);
+    if (node) setSelectedNode(node);
+  };
+
+  // Hide the members of collapsed group frames
+  const { nodes: visibleNodes, edges: visibleEdges } = useMemo(
+    () => collapseFrames(nodes, edges),
+    [nodes, edges]
+  );
+
+  // Highlight failing nodes/edges while the validation panel is open
+  const { flowNodes: validatedNodes, flowEdges: validatedEdges } = useMemo(() => {
+    if (!isValidationOpen) return { flowNodes: visibleNodes, flowEdges: visibleEdges };
+
+    const levels = (key) => {
+      const map = new Map();
+      validationIssues.forEach((issue) => {
+        issue[key].forEach((id) => {
+          if (map.get(id) !== 'error') map.set(id, issue.severity);
+        });
+      });
+      return map;
+    };
+    const nodeLevels = levels('nodeIds');
+    const edgeLevels = levels('edgeIds');
+
+    return {
+      flowNodes: visibleNodes.map((n) => (nodeLevels.has(n.id)
+        ? { ...n, className: `node-${nodeLevels.get(n.id)}` }
+        : n)),
+      flowEdges: visibleEdges.map((e) => (edgeLevels.has(e.id)
+        ? { ...e, className: `edge-${edgeLevels.get(e.id)}`, animated: true }
+        : e))
+    };
+  }, [isValidationOpen, validationIssues, visibleNodes, visibleEdges]);
+
+  // Overlay the live run state of the current/last query on the canvas
+  const { flowNodes, flowEdges } = useMemo(() => {
+    if (!runTrace) return { flowNodes: validatedNodes, flowEdges: validatedEdges };
+
+    const states = nodeStates(runTrace);
+    return {
+      flowNodes: validatedNodes.map((n) => (states[n.id]
+        ? { ...n, data: { ...n.data, runStatus: states[n.id] } }
+        : n)),
+      flowEdges: validatedEdges.map((e) => {
+        if (states[e.target] === 'running' && states[e.source] === 'completed') {
+          return { ...e, animated: true, className: `${e.className || ''} edge-running`.trim() };
+        }
+        if (states[e.target] && states[e.source] === 'completed') {
+          return { ...e, className: `${e.className || ''} edge-${states[e.target]}`.trim() };
+        }
+        return e;
+      })
+    };
+  }, [runTrace, validatedNodes, validatedEdges]);
+
   // 5. Build Stack
   const handleBuildStack = async () => {
     if (!validateWorkflow()) return;
 
     setIsLoading(true);
     try {
-      // Prepare workflow data matching backend schema
-      const workflowData = {
-        nodes: nodes.map(n => ({
-          id: n.id,
-          type: n.type,
-          data: {
-            label: n.data.label || n.type,
-            config: {
-              model: n.data.model,
-              system_prompt: n.data.prompt,
-              vector_collection_id: n.data.documentId,
-              ...n.data
-            }
-          },
-          position: n.position
-        })),
-        edges: edges.map(e => ({
-          id: e.id || `edge_${e.source}_${e.target}`,
-          source: e.source,
-          target: e.target
-        })),
-        user_query: ''
-      };
+      // Prepare workflow data matching backend schema, with the run's defaults
+      const workflowData = buildWorkflowPayload(nodes, edges);
 
-      const response = await fetch(`${API_BASE_URL}/workflows/validate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(workflowData)
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        showToast('Workflow validated successfully!', 'success');
-        console.log('Execution plan:', data.plan);
-      } else {
-        const error = await response.json();
-        showToast(error.detail || 'Validation failed');
-      }
+      const data = await apiRequest('/workflows/validate', { method: 'POST', body: workflowData });
+      const build = { plan: normalizePlan(data, workflowData), builtAt: Date.now() };
+      const previous = getLastBuild(workflowKey);
+      saveLastBuild(workflowKey, build);
+      setLastBuild({ ...build, diff: diffPlans(previous?.plan, build.plan) });
+      setIsPlanOpen(true);
+      const { warnings } = build.plan;
+      showToast(
+        warnings.length ? `Workflow validated with ${warnings.length} warning(s)` : 'Workflow validated successfully!',
+        'success'
+      );
     } catch (error) {
       console.error('Validation error:', error);
-      showToast('Backend not available. Check if server is running.');
+      showToast(error.message || 'Validation failed', 'error', 6000);
     }
     setIsLoading(false);
   };
 
-  // 6. Chat Execution with SSE streaming
-  const handleChatSubmit = async (e) => {
-    e.preventDefault();
-    if (!query.trim()) return;
+  // 6. Chat Execution with SSE streaming (hooks/useStackChat)
+  const handleChatSend = (userQuery) => {
+    if (!validateWorkflow()) return false;
 
-    if (!validateWorkflow()) return;
-
-    const userQuery = query;
-    setChatHistory(prev => [...prev, { role: 'user', content: userQuery }]);
-    setQuery('');
     setIsLoading(true);
+    sendChat({ nodes, edges, chatHistory, userQuery }).finally(() => setIsLoading(false));
+    return true;
+  };
 
-    try {
-      // Prepare request data matching backend WorkflowRequest schema
-      const requestData = {
-        nodes: nodes.map(n => ({
-          id: n.id,
-          type: n.type,
-          data: {
-            label: n.data.label || n.type,
-            config: {
-              model: n.data.model || 'llama-3.3-70b-versatile',
-              system_prompt: n.data.prompt || 'You are a helpful assistant.',
-              vector_collection_id: n.data.documentId,
-              ...n.data
-            }
-          },
-          position: n.position
-        })),
-        edges: edges.map(e => ({
-          id: e.id || `edge_${e.source}_${e.target}`,
-          source: e.source,
-          target: e.target
-        })),
-        user_query: userQuery
-      };
+  // 7. Knowledge Base document uploads
+  const patchNodeData = useCallback((nodeId, patch) => {
+    setNodes((nds) => nds.map((n) => (n.id === nodeId ? { ...n, data: patch(n.data) } : n)));
+    setSelectedNode((prev) => (prev && prev.id === nodeId ? { ...prev, data: patch(prev.data) } : prev));
+  }, [setNodes]);
+
+  const uploads = useDocumentUploads({
+    patchNodeData,
+    showToast
+  });
+
+  // 8. Save / Open Workflows
+  const handleSaveWorkflow = async () => {
+    if (nodes.length === 0) {
+      showToast('Add some components before saving');
+      return;
+    }
 
-      const response = await fetch(`${API_BASE_URL}/run_workflow`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestData)
+    setIsLoading(true);
+    try {
+      const { workflow, synced } = await saveWorkflow({
+        id: workflowId,
+        name: workflowName.trim() || 'Untitled Stack',
+        viewport: reactFlowInstance?.getViewport(),
+        ...toStoredGraph(nodes, edges)
       });
+      if (!workflowId) reassignSessions(DRAFT_WORKFLOW, workflow.id);
+      setWorkflowId(workflow.id);
+      const latest = workflow.versions[workflow.versions.length - 1];
+      showToast(
+        `Saved "${workflow.name}" v${latest.version}${synced ? '' : ' (offline copy)'}`,
+        'success'
+      );
+    } catch (error) {
+      console.error('Save error:', error);
+      showToast(error.message || 'Save failed');
+    }
+    setIsLoading(false);
+  };
 
-      if (response.ok) {
-        // Handle SSE streaming response
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let aiResponse = '';
-        let buffer = '';  // Buffer for incomplete lines
-        let statusMsg = '';
-
-        // Add placeholder for AI response
-        setChatHistory(prev => [...prev, { role: 'ai', content: '', isStreaming: true }]);
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          // Append new chunk to buffer
-          buffer += decoder.decode(value, { stream: true });
-          
-          // Process complete lines (ending with \n\n)
-          const parts = buffer.split('\n\n');
-          
-          // Keep the last incomplete part in buffer
-          buffer = parts[parts.length - 1];
-          
-          // Process all complete parts
-          for (let i = 0; i < parts.length - 1; i++) {
-            const line = parts[i].trim();
-            if (!line) continue;
-            
-            if (line.startsWith('data: ')) {
-              // LLM response data - accumulate chunks
-              const content = line.substring(6).replace(/\\n/g, '\n');
-              aiResponse += content;
-              setChatHistory(prev => {
-                const newHistory = [...prev];
-                const lastIdx = newHistory.length - 1;
-                if (lastIdx >= 0 && newHistory[lastIdx].role === 'ai') {
-                  newHistory[lastIdx] = { role: 'ai', content: aiResponse, isStreaming: true };
-                }
-                return newHistory;
-              });
-            } else if (line.startsWith('status: ')) {
-              statusMsg = line.substring(8);
-              console.log('Status:', statusMsg);
-            } else if (line.startsWith('final: ')) {
-              // Final response - use only if we don't have streaming data
-              const finalContent = line.substring(7).trim();
-              if (finalContent && finalContent !== 'No response' && !aiResponse) {
-                aiResponse = finalContent;
-              }
-            }
-          }
-        }
+  const handleOpenWorkflow = (workflow, version) => {
+    takeSnapshot();
+    setNodes(resetInterruptedUploads(version.nodes));
+    setEdges(version.edges);
+    setWorkflowId(workflow.id);
+    setWorkflowName(workflow.name);
+    setSelectedNode(null);
+    setRunTrace(null);
+    setIsLibraryOpen(false);
+    if (version.viewport && reactFlowInstance) {
+      reactFlowInstance.setViewport(version.viewport);
+    }
+    showToast(`Opened "${workflow.name}" v${version.version}`, 'success');
+  };
 
-        // Process any remaining buffer content
-        if (buffer.trim()) {
-          const line = buffer.trim();
-          if (line.startsWith('data: ')) {
-            const content = line.substring(6).replace(/\\n/g, '\n');
-            aiResponse += content;
-          } else if (line.startsWith('final: ')) {
-            const finalContent = line.substring(7).trim();
-            if (finalContent && !aiResponse) {
-              aiResponse = finalContent;
-            }
-          }
-        }
+  const handleNewWorkflow = () => {
+    takeSnapshot();
+    setNodes([]);
+    setEdges([]);
+    setWorkflowId(null);
+    setWorkflowName('Untitled Stack');
+    setSelectedNode(null);
+    setRunTrace(null);
+    setIsLibraryOpen(false);
+  };
 
-        // Mark streaming as complete
-        setChatHistory(prev => {
-          const newHistory = [...prev];
-          const lastIdx = newHistory.length - 1;
-          if (lastIdx >= 0 && newHistory[lastIdx].role === 'ai') {
-            newHistory[lastIdx] = { role: 'ai', content: aiResponse || 'No response generated.' };
-          }
-          return newHistory;
-        });
-      } else {
-        const error = await response.json();
-        setChatHistory(prev => [...prev, {
-          role: 'ai',
-          content: `Error: ${error.detail || 'Failed to process request'}`
-        }]);
-      }
-    } catch (error) {
-      console.error('Chat error:', error);
-      setChatHistory(prev => [...prev, {
-        role: 'ai',
-        content: `Error connecting to backend. Make sure the server is running at ${API_BASE_URL}`
-      }]);
+  // 9. Import / Export Workflow Files
+  const handleExportWorkflow = () => {
+    if (nodes.length === 0) {
+      showToast('Nothing to export - the canvas is empty');
+      return;
     }
 
-    setIsLoading(false);
+    const file = exportWorkflowFile({
+      name: workflowName,
+      nodes,
+      edges,
+      viewport: reactFlowInstance?.getViewport()
+    });
+    downloadFile(`${slugify(workflowName)}.genai-stack.json`, JSON.stringify(file, null, 2));
   };
 
-  // 7. Handle file upload for Knowledge Base
-  const handleFileUpload = async (event) => {
+  const handleImportWorkflow = async (event) => {
     const file = event.target.files[0];
+    event.target.value = '';
     if (!file) return;
 
-    updateNodeData('filename', file.name);
-    setIsLoading(true);
-
-    // Upload to backend
-    const formData = new FormData();
-    formData.append('file', file);
-
     try {
-      const response = await fetch(`${API_BASE_URL}/documents/upload`, {
-        method: 'POST',
-        body: formData
-      });
+      const imported = parseWorkflowFile(await file.text(), Object.keys(nodeTypes));
+      takeSnapshot();
+      setNodes(imported.nodes);
+      setEdges(imported.edges);
+      setRunTrace(null);
+      setWorkflowId(null);
+      setWorkflowName(imported.name || file.name.replace(/\.genai-stack\.json$|\.json$/, ''));
+      setSelectedNode(null);
+      if (imported.viewport && reactFlowInstance) {
+        reactFlowInstance.setViewport(imported.viewport);
+      }
+
+      const { migratedFrom, unknownNodes, droppedEdges } = imported.report;
+      const notes = [];
+      if (migratedFrom) notes.push(`upgraded from schema v${migratedFrom}`);
+      if (unknownNodes.length) {
+        notes.push(`skipped ${unknownNodes.length} node(s) of unknown type: ${unknownNodes
+          .map((n) => `${n.type} (${n.id})`)
+          .join(', ')}`);
+      }
+      if (droppedEdges) notes.push(`dropped ${droppedEdges} edge(s) attached to them`);
 
-      if (response.ok) {
-        const data = await response.json();
-        // Store the vector_collection_id from backend
-        updateNodeData('documentId', data.vector_collection_id);
-        updateNodeData('subtext', file.name);
-        showToast('Document uploaded and processed!', 'success');
+      if (unknownNodes.length) {
+        showToast(`Imported with warnings: ${notes.join('; ')}`, 'error', 8000);
       } else {
-        const error = await response.json();
-        showToast(error.detail || 'Upload failed');
+        showToast(`Imported "${file.name}"${notes.length ? ` (${notes.join('; ')})` : ''}`, 'success');
       }
     } catch (error) {
-      console.error('Upload error:', error);
-      showToast('Backend not available for document processing');
+      console.error('Import error:', error);
+      showToast(error.message || 'Import failed', 'error', 6000);
     }
-    setIsLoading(false);
   };
 
+  // 10. Starter & Team Templates
+  const handleUseTemplate = (template) => {
+    if (nodes.length && !window.confirm(`Replace the current canvas with "${template.name}"? You can undo this.`)) return;
+
+    const graph = instantiateTemplate(template);
+    takeSnapshot();
+    setNodes(graph.nodes);
+    setEdges(graph.edges);
+    setWorkflowId(null);
+    setWorkflowName(template.name);
+    setSelectedNode(null);
+    setRunTrace(null);
+    setIsTemplatesOpen(false);
+    // Wait for ReactFlow to measure the new nodes before framing them
+    setTimeout(() => reactFlowInstance?.fitView({ padding: 0.2, duration: 400 }), 50);
+    if (template.setupNote) {
+      showToast(`Inserted "${template.name}". ${template.setupNote}`, 'success', 6000);
+    } else {
+      showToast(`Inserted "${template.name}"`, 'success');
+    }
+  };
+
+  // 11. Chat Sessions
+  const switchSession = (id) => {
+    const session = chatSessions.find((s) => s.id === id);
+    if (!session) return;
+    setActiveSessionId(session.id);
+    setChatHistory(session.messages);
+  };
+
+  const handleNewSession = () => {
+    const name = window.prompt('Session name', `Session ${chatSessions.length + 1}`);
+    if (name === null) return;
+    const session = createSession(workflowKey, name.trim());
+    setChatSessions(listSessions(workflowKey));
+    setActiveSessionId(session.id);
+    setChatHistory(session.messages);
+  };
+
+  const handleRenameSession = () => {
+    const current = chatSessions.find((s) => s.id === activeSessionId);
+    const name = window.prompt('Rename session', current?.name);
+    if (!name || !name.trim()) return;
+    updateSession(activeSessionId, { name: name.trim() });
+    setChatSessions(listSessions(workflowKey));
+  };
+
+  const handleForkSession = () => {
+    const current = chatSessions.find((s) => s.id === activeSessionId);
+    if (!current) return;
+    const session = forkSession({ ...current, messages: chatHistory });
+    setChatSessions(listSessions(workflowKey));
+    setActiveSessionId(session.id);
+    setChatHistory(session.messages);
+    showToast(`Forked into "${session.name}"`, 'success');
+  };
+
+  const handleClearSession = () => {
+    if (!window.confirm('Clear all messages in this session?')) return;
+    setChatHistory([GREETING]);
+  };
+
+  const handleDeleteSession = () => {
+    const current = chatSessions.find((s) => s.id === activeSessionId);
+    if (!current || !window.confirm(`Delete session "${current.name}"?`)) return;
+    deleteSession(current.id);
+    let remaining = listSessions(workflowKey);
+    if (!remaining.length) {
+      createSession(workflowKey);
+      remaining = listSessions(workflowKey);
+    }
+    const next = remaining[remaining.length - 1];
+    setChatSessions(remaining);
+    setActiveSessionId(next.id);
+    setChatHistory(next.messages);
+  };
+
+  const handleExportSession = (format) => {
+    const current = chatSessions.find((s) => s.id === activeSessionId);
+    if (!current) return;
+    const session = { ...current, messages: chatHistory };
+    const base = `${slugify(workflowName)}-${slugify(session.name, 'chat')}`;
+    if (format === 'md') {
+      downloadFile(`${base}.md`, sessionToMarkdown(session, workflowName), 'text/markdown');
+    } else {
+      downloadFile(`${base}.json`, sessionToJson(session, workflowName));
+    }
+  };
+
+  // 12. Canvas Layout & Group Frames
+  const selectedIds = nodes.filter((n) => n.selected && !isFrame(n)).map((n) => n.id);
+
+  const handleAutoLayout = () => {
+    takeSnapshot();
+    setNodes((nds) => autoLayout(nds, edges));
+    setTimeout(() => reactFlowInstance?.fitView({ padding: 0.2, duration: 400 }), 50);
+  };
+
+  const handleAlign = (mode) => {
+    takeSnapshot();
+    setNodes((nds) => alignNodes(nds, selectedIds, mode));
+  };
+
+  const handleDistribute = (axis) => {
+    takeSnapshot();
+    setNodes((nds) => distributeNodes(nds, selectedIds, axis));
+  };
+
+  const handleGroup = () => {
+    const label = window.prompt('Group label', 'Group');
+    if (label === null) return;
+    takeSnapshot();
+    setNodes((nds) => groupNodes(nds, selectedIds, label.trim() || 'Group'));
+  };
+
+  const frameActions = useMemo(() => {
+    const patchFrame = (id, patch) => setNodes((nds) => nds.map((n) => (n.id === id
+      ? { ...n, data: { ...n.data, ...patch(n.data) } }
+      : n)));
+    return {
+      toggleFrame: (id) => {
+        takeSnapshot();
+        patchFrame(id, (data) => ({ collapsed: !data.collapsed }));
+      },
+      renameFrame: (id, label) => {
+        takeSnapshot(`${id}:label`);
+        patchFrame(id, () => ({ label }));
+      },
+      ungroup: (id) => {
+        takeSnapshot();
+        setNodes((nds) => ungroupFrame(nds, id));
+      },
+      onResizeStart: () => takeSnapshot()
+    };
+  }, [setNodes, takeSnapshot]);
+
+  const toggleCanvasPref = (key) => setCanvasPrefs((prefs) => ({ ...prefs, [key]: !prefs[key] }));
+
+  // 13. Copy / Paste / Duplicate
+  // Copies go to the system clipboard as JSON, so they can be pasted in another tab
+  const pasteCount = useRef(0);
+
+  const insertGraph = useCallback((clip, offset) => {
+    const known = clip.nodes.filter((n) => nodeTypes[n.type]);
+    if (!known.length) return;
+    const graph = cloneGraph({ nodes: known, edges: clip.edges }, { x: offset, y: offset });
+    takeSnapshot();
+    setNodes((nds) => [
+      ...nds.map((n) => (n.selected ? { ...n, selected: false } : n)),
+      ...graph.nodes.map((n) => ({ ...n, selected: !n.parentNode }))
+    ]);
+    setEdges((eds) => [...eds, ...graph.edges]);
+  }, [setNodes, setEdges, takeSnapshot]);
+
+  const duplicateSelection = useCallback(() => {
+    const clip = copySelection(nodes, edges);
+    if (clip) insertGraph(clip, PASTE_OFFSET);
+  }, [nodes, edges, insertGraph]);
+
+  useEffect(() => {
+    // Text fields (and selected chat text) keep the browser's own clipboard
+    const isEditingText = (target) =>
+      target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable;
+
+    const handleCopy = (event) => {
+      if (isEditingText(event.target) || window.getSelection()?.toString()) return;
+      const clip = copySelection(nodes, edges);
+      if (!clip) return;
+      event.preventDefault();
+      event.clipboardData.setData('text/plain', JSON.stringify(clip));
+      pasteCount.current = 0;
+
+      if (event.type === 'cut') {
+        const removed = new Set(clip.nodes.map((n) => n.id));
+        takeSnapshot();
+        setNodes((nds) => nds.filter((n) => !removed.has(n.id)));
+        setEdges((eds) => eds.filter((e) => !removed.has(e.source) && !removed.has(e.target)));
+      }
+    };
+
+    const handlePaste = (event) => {
+      if (isEditingText(event.target)) return;
+      const clip = parseClipboard(event.clipboardData.getData('text/plain'));
+      if (!clip) return;
+      event.preventDefault();
+      pasteCount.current += 1;
+      insertGraph(clip, PASTE_OFFSET * pasteCount.current);
+    };
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditingText(event.target)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'd') {
+        event.preventDefault();
+        duplicateSelection();
+      } else if (key === 'a') {
+        event.preventDefault();
+        setNodes((nds) => nds.map((n) => ({ ...n, selected: true })));
+      }
+    };
+
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('cut', handleCopy);
+      document.removeEventListener('paste', handlePaste);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [nodes, edges, insertGraph, duplicateSelection, setNodes, setEdges, takeSnapshot]);
+
+  // 14. Backend Settings
+  const handleSaveApiSettings = (values, mockValues) => {
+    const settings = saveApiSettings(values);
+    const mock = saveMockSettings(mockValues);
+    setApiSettings(settings);
+    setMockSettings(mock);
+    setIsSettingsOpen(false);
+    showToast(mock.enabled
+      ? 'Using the mock backend'
+      : `Using backend ${settings.baseUrl}${settings.token ? ' (signed in)' : ''}`, 'success');
+  };
+
+  const toggleMockBackend = () => {
+    const mock = saveMockSettings({ enabled: !mockSettings.enabled });
+    setMockSettings(mock);
+    showToast(mock.enabled ? 'Mock backend on - no server needed' : `Using backend ${apiSettings.baseUrl}`, 'success');
+  };
+
+  // 15. Share / Embed
+  // Published pages load the saved workflow, so unsaved canvases cannot be shared
+  const handleShare = () => {
+    if (!workflowId) {
+      showToast('Save the stack to the library before sharing it');
+      return;
+    }
+    setIsShareOpen(true);
+  };
+
+  // Config panel for the selected node, plus the app state panels may need
+  const selectedDefinition = selectedNode && getNodeType(selectedNode.type);
+  const SelectedPanel = selectedDefinition?.ConfigPanel;
+  const panelContext = { nodes, edges, modelCatalog, uploads };
+
   return (
     <div className="app-layout">
       {/* Header */}
@@ -415,8 +865,85 @@ const App = () => {
             fontWeight: 'bold'
           }}>S</div>
           <h2>GenAI Stack</h2>
+          <input
+            className="workflow-name-input"
+            value={workflowName}
+            onChange={(e) => setWorkflowName(e.target.value)}
+            placeholder="Stack name"
+          />
         </div>
         <div className="header-actions">
+          <button
+            className="btn btn-secondary"
+            onClick={undo}
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+            style={{ display: 'flex', alignItems: 'center' }}
+          >
+            <Undo2 size={16} />
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={redo}
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            style={{ display: 'flex', alignItems: 'center' }}
+          >
+            <Redo2 size={16} />
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setIsLibraryOpen(true)}
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <Library size={16} /> Library
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setIsTemplatesOpen(true)}
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <LayoutTemplate size={16} /> Templates
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setIsEvaluationOpen(true)}
+            title="Run a test set through the stack"
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <FlaskConical size={16} /> Evaluate
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={handleSaveWorkflow}
+            disabled={isLoading}
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <BookmarkPlus size={16} /> Save
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => importInputRef.current.click()}
+            title="Import workflow file"
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <Upload size={16} /> Import
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportWorkflow}
+            style={{ display: 'none' }}
+          />
+          <button
+            className="btn btn-secondary"
+            onClick={handleExportWorkflow}
+            title="Export workflow file"
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <Download size={16} /> Export
+          </button>
           <button
             className="btn btn-secondary"
             onClick={handleBuildStack}
@@ -425,6 +952,32 @@ const App = () => {
           >
             <Save size={16} /> Build Stack
           </button>
+          <button
+            className={`btn btn-secondary mock-toggle ${mockSettings.enabled ? 'active' : ''}`}
+            onClick={toggleMockBackend}
+            title={mockSettings.enabled
+              ? 'Mock backend on - click to use the real server'
+              : 'Serve requests from a local mock backend'}
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <ServerOff size={16} /> Mock
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setIsSettingsOpen(true)}
+            title={mockSettings.enabled ? 'Backend: mock' : `Backend: ${apiSettings.baseUrl}`}
+            style={{ display: 'flex', alignItems: 'center' }}
+          >
+            <Settings size={16} />
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={handleShare}
+            title="Publish as a chat page or embeddable widget"
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <Share2 size={16} /> Share
+          </button>
           <button
             className="btn btn-primary"
             onClick={() => setIsChatOpen(true)}
@@ -440,57 +993,158 @@ const App = () => {
         <aside className="sidebar">
           <h3 style={{ margin: 0, fontSize: '14px', color: '#999', textTransform: 'uppercase' }}>Components</h3>
 
-          <div
-            className="sidebar-item"
-            onDragStart={(event) => onDragStart(event, 'inputNode', 'User Query')}
-            draggable
-          >
-            <MessageSquare size={18} /> <span>User Query</span>
-          </div>
+          {listNodeTypes().map(({ type, label, sidebarLabel, description, icon: Icon }) => (
+            <div
+              key={type}
+              className="sidebar-item"
+              title={description}
+              onDragStart={(event) => onDragStart(event, type, label)}
+              draggable
+            >
+              <Icon size={18} /> <span>{sidebarLabel || label}</span>
+            </div>
+          ))}
+        </aside>
 
-          <div
-            className="sidebar-item"
-            onDragStart={(event) => onDragStart(event, 'knowledgeNode', 'Knowledge Base')}
-            draggable
-          >
-            <Database size={18} /> <span>Knowledge Base</span>
-          </div>
+        {/* Canvas Area */}
+        <div className="canvas-area" ref={reactFlowWrapper}>
+          <FrameActionsContext.Provider value={frameActions}>
+            <ReactFlow
+              nodes={flowNodes}
+              edges={flowEdges}
+              onNodesChange={handleNodesChange}
+              onEdgesChange={handleEdgesChange}
+              onNodeDragStart={handleNodeDragStart}
+              onNodeDragStop={handleNodeDragStop}
+              onConnect={onConnect}
+              onInit={setReactFlowInstance}
+              onDrop={onDrop}
+              onDragOver={onDragOver}
+              onNodeClick={onNodeClick}
+              nodeTypes={nodeTypes}
+              deleteKeyCode={['Backspace', 'Delete']}
+              snapToGrid={canvasPrefs.snapToGrid}
+              snapGrid={[GRID_SIZE, GRID_SIZE]}
+              fitView
+            >
+              <Background color="#ccc" gap={GRID_SIZE} />
+              <Controls />
+              {canvasPrefs.showMiniMap && (
+                <MiniMap
+                  pannable
+                  zoomable
+                  nodeColor={(n) => (isFrame(n) ? 'rgba(37, 99, 235, 0.08)' : getNodeType(n.type)?.color || '#e5e7eb')}
+                  nodeStrokeColor={(n) => (isFrame(n) ? '#93c5fd' : '#9ca3af')}
+                />
+              )}
+            </ReactFlow>
+          </FrameActionsContext.Provider>
 
-          <div
-            className="sidebar-item"
-            onDragStart={(event) => onDragStart(event, 'llmNode', 'LLM Engine')}
-            draggable
-          >
-            <Bot size={18} /> <span>LLM Engine</span>
+          <div className="canvas-toolbar">
+            <button
+              className="icon-btn"
+              title="Auto-layout left to right"
+              onClick={handleAutoLayout}
+              disabled={!nodes.length}
+            >
+              <Workflow size={16} />
+            </button>
+            <button
+              className={`icon-btn ${canvasPrefs.snapToGrid ? 'active' : ''}`}
+              title="Snap to grid"
+              onClick={() => toggleCanvasPref('snapToGrid')}
+            >
+              <Grid size={16} />
+            </button>
+            <button
+              className={`icon-btn ${canvasPrefs.showMiniMap ? 'active' : ''}`}
+              title="Show minimap"
+              onClick={() => toggleCanvasPref('showMiniMap')}
+            >
+              <MapIcon size={16} />
+            </button>
+            <span className="toolbar-divider" />
+            {ALIGN_BUTTONS.map(({ mode, title, icon: Icon }) => (
+              <button
+                key={mode}
+                className="icon-btn"
+                title={`${title} (select 2+ components)`}
+                onClick={() => handleAlign(mode)}
+                disabled={selectedIds.length < 2}
+              >
+                <Icon size={16} />
+              </button>
+            ))}
+            <button
+              className="icon-btn"
+              title="Distribute horizontally (select 3+ components)"
+              onClick={() => handleDistribute('horizontal')}
+              disabled={selectedIds.length < 3}
+            >
+              <AlignHorizontalDistributeCenter size={16} />
+            </button>
+            <button
+              className="icon-btn"
+              title="Distribute vertically (select 3+ components)"
+              onClick={() => handleDistribute('vertical')}
+              disabled={selectedIds.length < 3}
+            >
+              <AlignVerticalDistributeCenter size={16} />
+            </button>
+            <span className="toolbar-divider" />
+            <button
+              className="icon-btn"
+              title="Group selected components into a frame"
+              onClick={handleGroup}
+              disabled={!selectedIds.length}
+            >
+              <Group size={16} />
+            </button>
+            <button
+              className="icon-btn"
+              title="Duplicate selection (Ctrl+D). Ctrl+C / Ctrl+V copy and paste, also between tabs"
+              onClick={duplicateSelection}
+              disabled={!nodes.some((n) => n.selected)}
+            >
+              <CopyPlus size={16} />
+            </button>
           </div>
 
-          <div
-            className="sidebar-item"
-            onDragStart={(event) => onDragStart(event, 'outputNode', 'Output')}
-            draggable
-          >
-            <ArrowRightCircle size={18} /> <span>Output Component</span>
-          </div>
-        </aside>
+          {nodes.length === 0 && (
+            <div className="canvas-empty">
+              <p>Drag components from the left to build a stack, or</p>
+              <button
+                className="btn btn-primary"
+                onClick={() => setIsTemplatesOpen(true)}
+                style={{ display: 'inline-flex', gap: '5px', alignItems: 'center' }}
+              >
+                <LayoutTemplate size={16} /> Start from a template
+              </button>
+            </div>
+          )}
 
-        {/* Canvas Area */}
-        <div className="canvas-area" ref={reactFlowWrapper}>
-          <ReactFlow
-            nodes={nodes}
-            edges={edges}
-            onNodesChange={onNodesChange}
-            onEdgesChange={onEdgesChange}
-            onConnect={onConnect}
-            onInit={setReactFlowInstance}
-            onDrop={onDrop}
-            onDragOver={onDragOver}
-            onNodeClick={onNodeClick}
-            nodeTypes={nodeTypes}
-            fitView
+          <button
+            className={`validation-badge ${hasErrors(validationIssues) ? 'invalid' : 'valid'}`}
+            onClick={() => setIsValidationOpen((open) => !open)}
           >
-            <Background color="#ccc" gap={20} />
-            <Controls />
-          </ReactFlow>
+            {hasErrors(validationIssues)
+              ? <><AlertCircle size={14} /> {validationIssues.length} issue(s)</>
+              : <><CheckCircle size={14} /> Valid</>}
+          </button>
+
+          {lastBuild && !isPlanOpen && (
+            <button className="validation-badge plan-reopen" onClick={() => setIsPlanOpen(true)}>
+              <ListChecks size={14} /> Plan
+            </button>
+          )}
+
+          {isValidationOpen && (
+            <ValidationPanel
+              issues={validationIssues}
+              onFocus={focusIssue}
+              onClose={() => setIsValidationOpen(false)}
+            />
+          )}
         </div>
 
         {/* Configuration Panel */}
@@ -521,99 +1175,35 @@ const App = () => {
               />
             </div>
 
-            {/* User Query Configuration */}
-            {selectedNode.type === 'inputNode' && (
+            {/* Type-specific Configuration (from the node registry) */}
+            {selectedDefinition?.description && (
               <div className="config-section">
-                <p style={{ fontSize: '14px', color: '#666' }}>
-                  This component accepts user queries and serves as the entry point for the workflow.
-                </p>
+                <p style={{ fontSize: '14px', color: '#666' }}>{selectedDefinition.description}</p>
               </div>
             )}
-
-            {/* LLM Engine Configuration */}
-            {selectedNode.type === 'llmNode' && (
-              <>
-                <div className="config-section">
-                  <span className="config-label">Model (Groq)</span>
-                  <select
-                    className="config-select"
-                    value={selectedNode.data.model || 'llama-3.3-70b-versatile'}
-                    onChange={(e) => updateNodeData('model', e.target.value)}
-                  >
-                    <option value="llama-3.3-70b-versatile">Llama 3.3 70B (Recommended)</option>
-                    <option value="llama-3.1-8b-instant">Llama 3.1 8B Instant</option>
-                    <option value="mixtral-8x7b-32768">Mixtral 8x7B</option>
-                    <option value="gemma2-9b-it">Gemma 2 9B</option>
-                  </select>
-                </div>
-                <div className="config-section">
-                  <span className="config-label">System Prompt</span>
-                  <textarea
-                    className="config-textarea"
-                    placeholder="You are a helpful assistant..."
-                    value={selectedNode.data.prompt || ''}
-                    onChange={(e) => updateNodeData('prompt', e.target.value)}
-                  />
-                </div>
-                <div className="config-section">
-                  <p style={{ fontSize: '12px', color: '#666', margin: 0 }}>
-                    API Key is configured on the backend via environment variables.
-                  </p>
-                </div>
-              </>
-            )}
-
-            {/* Knowledge Base Configuration */}
-            {selectedNode.type === 'knowledgeNode' && (
-              <>
-                <div className="config-section">
-                  <span className="config-label">Upload Document</span>
-                  <input
-                    className="config-input"
-                    type="file"
-                    accept=".pdf,.txt,.doc,.docx"
-                    onChange={handleFileUpload}
-                  />
-                  <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
-                    {selectedNode.data.filename
-                      ? `Selected: ${selectedNode.data.filename}`
-                      : 'Supported: PDF, TXT, DOC'}
-                  </div>
-                </div>
-                <div className="config-section">
-                  <span className="config-label">Embedding Model</span>
-                  <select
-                    className="config-select"
-                    value={selectedNode.data.embeddingModel || 'openai'}
-                    onChange={(e) => updateNodeData('embeddingModel', e.target.value)}
-                  >
-                    <option value="openai">OpenAI Embeddings</option>
-                    <option value="gemini">Gemini Embeddings</option>
-                  </select>
-                </div>
-                <div className="config-section">
-                  <span className="config-label">Chunk Size</span>
-                  <input
-                    className="config-input"
-                    type="number"
-                    placeholder="1000"
-                    value={selectedNode.data.chunkSize || 1000}
-                    onChange={(e) => updateNodeData('chunkSize', parseInt(e.target.value))}
-                  />
-                </div>
-              </>
+            {SelectedPanel && (
+              <SelectedPanel node={selectedNode} onChange={updateNodeData} context={panelContext} />
             )}
-
-            {/* Output Configuration */}
-            {selectedNode.type === 'outputNode' && (
-              <div className="config-section">
-                <p style={{ fontSize: '14px', color: '#666' }}>
-                  Displays the final response to the user in the chat interface.
-                </p>
-              </div>
+            {selectedDefinition?.fields && (
+              <SchemaFields
+                fields={selectedDefinition.fields}
+                data={selectedNode.data}
+                errors={selectedDefinition.validate(selectedNode.data, { models: modelCatalog.models })}
+                onChange={updateNodeData}
+              />
             )}
           </aside>
         )}
+
+        {/* Execution Plan Panel */}
+        {isPlanOpen && lastBuild && (
+          <ExecutionPlanPanel
+            build={lastBuild}
+            diff={lastBuild.diff}
+            onFocusNode={focusNode}
+            onClose={() => setIsPlanOpen(false)}
+          />
+        )}
       </div>
 
       {/* Chat Modal */}
@@ -622,42 +1212,107 @@ const App = () => {
           <div className="chat-box">
             <div className="chat-header">
               <span>Chat with Stack</span>
-              <button
-                onClick={() => setIsChatOpen(false)}
-                style={{ background: 'none', border: 'none', cursor: 'pointer' }}
-              >
-                <X size={20} />
-              </button>
-            </div>
-            <div className="chat-history">
-              {chatHistory.map((msg, idx) => (
-                <div key={idx} className={`message ${msg.role}`}>
-                  {msg.content}
-                </div>
-              ))}
-              {isLoading && (
-                <div className="loading-dots">
-                  <span></span>
-                  <span></span>
-                  <span></span>
-                </div>
-              )}
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                <button
+                  className="icon-btn"
+                  onClick={() => setIsMetricsOpen(true)}
+                  title="Usage & latency dashboard"
+                >
+                  <BarChart3 size={18} />
+                </button>
+                <button
+                  onClick={() => setIsChatOpen(false)}
+                  style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+                >
+                  <X size={20} />
+                </button>
+              </div>
             </div>
-            <form className="chat-input" onSubmit={handleChatSubmit}>
-              <input
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                placeholder="Type your query..."
-                disabled={isLoading}
-              />
-              <button type="submit" className="btn btn-primary" disabled={isLoading}>
-                <Send size={16} />
-              </button>
-            </form>
+            <ChatSessionBar
+              sessions={chatSessions}
+              activeId={activeSessionId}
+              disabled={isLoading}
+              onSwitch={switchSession}
+              onNew={handleNewSession}
+              onRename={handleRenameSession}
+              onFork={handleForkSession}
+              onClear={handleClearSession}
+              onDelete={handleDeleteSession}
+              onExport={handleExportSession}
+            />
+            <ChatPanel
+              messages={chatHistory}
+              isLoading={isLoading}
+              isStreaming={isStreaming}
+              onSend={handleChatSend}
+              onStop={stopChat}
+              onFocusNode={focusNode}
+              models={modelCatalog.models}
+            />
           </div>
         </div>
       )}
 
+      {/* Usage & Latency Dashboard */}
+      {isMetricsOpen && (
+        <MetricsDashboard
+          sessions={chatSessions.map((s) => (s.id === activeSessionId ? { ...s, messages: chatHistory } : s))}
+          activeSessionId={activeSessionId}
+          workflowName={workflowName}
+          models={modelCatalog.models}
+          onClose={() => setIsMetricsOpen(false)}
+        />
+      )}
+
+      {/* Workflow Library Modal */}
+      {isLibraryOpen && (
+        <WorkflowLibrary
+          currentWorkflowId={workflowId}
+          onOpen={handleOpenWorkflow}
+          onNew={handleNewWorkflow}
+          onClose={() => setIsLibraryOpen(false)}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Template Gallery Modal */}
+      {isTemplatesOpen && (
+        <TemplateGallery
+          currentStack={{ name: workflowName, ...toStoredGraph(nodes, edges) }}
+          onUse={handleUseTemplate}
+          onClose={() => setIsTemplatesOpen(false)}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Backend Settings Modal */}
+      {isSettingsOpen && (
+        <ApiSettings
+          settings={apiSettings}
+          mockSettings={mockSettings}
+          onSave={handleSaveApiSettings}
+          onClose={() => setIsSettingsOpen(false)}
+        />
+      )}
+
+      {/* Evaluation Modal */}
+      {isEvaluationOpen && (
+        <EvaluationPanel
+          currentStack={{ name: workflowName, nodes, edges }}
+          models={modelCatalog.models}
+          onClose={() => setIsEvaluationOpen(false)}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Share Dialog */}
+      {isShareOpen && (
+        <ShareDialog
+          workflowId={workflowId}
+          onClose={() => setIsShareOpen(false)}
+        />
+      )}
+
       {/* Toast Notification */}
       {toast && (
         <div className={`toast ${toast.type}`}>
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { X, Eye, EyeOff, LogIn, PlugZap } from 'lucide-react';
+import { DEFAULT_API_URL, signIn, testConnection } from '../utils/apiClient';
+import { MOCK_ERROR_KINDS, MOCK_FIELDS } from '../utils/mockBackend';
+
+const clampField = (key, value) => {
+  const { min, max } = MOCK_FIELDS[key];
+  return Math.min(max, Math.max(min, Number(value) || 0));
+};
+
+// --- Backend Settings Modal --- //
+// Backend URL and bearer token used by every API call (utils/apiClient).
+// The token can be pasted or obtained by signing in with a username and
+// password. The mock backend section tunes the offline stand-in
+// (utils/mockBackend). Nothing is applied until "Save".
+const ApiSettings = ({ settings, mockSettings, onSave, onClose }) => {
+  const [baseUrl, setBaseUrl] = useState(settings.baseUrl);
+  const [token, setToken] = useState(settings.token);
+  const [showToken, setShowToken] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [status, setStatus] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [mock, setMock] = useState(mockSettings);
+
+  const run = async (task) => {
+    setIsBusy(true);
+    setStatus(null);
+    try {
+      setStatus({ type: 'success', message: await task() });
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    }
+    setIsBusy(false);
+  };
+
+  const handleTest = () => run(async () => {
+    await testConnection({ baseUrl, token });
+    return token ? 'Connected, token accepted' : 'Connected';
+  });
+
+  const handleSignIn = (event) => {
+    event.preventDefault();
+    run(async () => {
+      setToken(await signIn(baseUrl, username, password));
+      setPassword('');
+      return 'Signed in - save to start using this token';
+    });
+  };
+
+  return (
+    <div className="chat-overlay">
+      <div className="library-box settings-box">
+        <div className="chat-header">
+          <span>Backend Settings</span>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="settings-body">
+          <div className="config-section">
+            <span className="config-label">Backend URL</span>
+            <input
+              className="config-input"
+              value={baseUrl}
+              placeholder={DEFAULT_API_URL}
+              onChange={(e) => setBaseUrl(e.target.value)}
+            />
+          </div>
+
+          <div className="config-section">
+            <span className="config-label">
+              Access Token <span className="config-hint">(sent as a Bearer token)</span>
+            </span>
+            <div className="filter-row">
+              <input
+                className="config-input"
+                type={showToken ? 'text' : 'password'}
+                value={token}
+                placeholder="Not signed in"
+                autoComplete="off"
+                onChange={(e) => setToken(e.target.value)}
+              />
+              <button
+                className="icon-btn"
+                title={showToken ? 'Hide token' : 'Show token'}
+                onClick={() => setShowToken((show) => !show)}
+              >
+                {showToken ? <EyeOff size={14} /> : <Eye size={14} />}
+              </button>
+            </div>
+          </div>
+
+          <form className="config-section settings-signin" onSubmit={handleSignIn}>
+            <span className="config-label">
+              Sign In <span className="config-hint">(backends with /auth/token)</span>
+            </span>
+            <div className="filter-row">
+              <input
+                className="config-input"
+                placeholder="Username"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+              />
+              <input
+                className="config-input"
+                type="password"
+                placeholder="Password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+            <button
+              type="submit"
+              className="btn btn-secondary btn-small"
+              disabled={isBusy || !username || !password}
+              style={{ display: 'flex', gap: '4px', alignItems: 'center' }}
+            >
+              <LogIn size={12} /> Sign in
+            </button>
+          </form>
+
+          <div className="config-section settings-mock">
+            <label style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '13px' }}>
+              <input
+                type="checkbox"
+                checked={mock.enabled}
+                onChange={(e) => setMock({ ...mock, enabled: e.target.checked })}
+              />
+              Use mock backend <span className="config-hint">(no server needed)</span>
+            </label>
+            <div className="filter-row" style={{ marginTop: '8px' }}>
+              {Object.entries(MOCK_FIELDS).map(([key, field]) => (
+                <label key={key}>
+                  {field.label}
+                  <input
+                    className="config-input"
+                    type="number"
+                    min={field.min}
+                    max={field.max}
+                    step={field.step}
+                    value={mock[key]}
+                    onChange={(e) => setMock({ ...mock, [key]: clampField(key, e.target.value) })}
+                  />
+                </label>
+              ))}
+              <label>
+                Injected error
+                <select
+                  className="config-select"
+                  value={mock.errorKind}
+                  onChange={(e) => setMock({ ...mock, errorKind: e.target.value })}
+                >
+                  {Object.entries(MOCK_ERROR_KINDS).map(([kind, label]) => (
+                    <option key={kind} value={kind}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+
+          {status && <div className={`settings-status ${status.type}`}>{status.message}</div>}
+        </div>
+
+        <div className="library-toolbar settings-actions">
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={handleTest}
+            disabled={isBusy}
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <PlugZap size={14} /> Test connection
+          </button>
+          <div style={{ flex: 1 }} />
+          <button className="btn btn-secondary btn-small" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary btn-small" onClick={() => onSave({ baseUrl, token }, mock)} disabled={isBusy}>
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApiSettings;
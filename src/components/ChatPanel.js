@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Send, Square } from 'lucide-react';
+import MarkdownMessage, { CopyButton } from './MarkdownMessage';
+import SourceCitations from './SourceCitations';
+import TraceTimeline from './TraceTimeline';
+import RunMetrics from './RunMetrics';
+
+// --- Chat Panel --- //
+// Message list and input of a stack conversation, used by the builder's chat
+// modal and the published chat page. `onSend(query)` may return false to keep
+// the typed query (e.g. when the stack fails validation). `models` (the model
+// catalog) prices the run metrics.
+const ChatPanel = ({
+  messages,
+  isLoading,
+  isStreaming,
+  onSend,
+  onStop,
+  onFocusNode,
+  showTrace = true,
+  showMetrics = true,
+  models,
+  placeholder = 'Type your query...'
+}) => {
+  const [query, setQuery] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!query.trim() || isLoading) return;
+    if (onSend(query) !== false) setQuery('');
+  };
+
+  return (
+    <>
+      <div className="chat-history">
+        {messages.map((msg, idx) => (
+          <div key={idx} className={`message ${msg.role}`}>
+            {msg.role === 'ai'
+              ? <MarkdownMessage content={msg.content} isStreaming={msg.isStreaming} />
+              : msg.content}
+            {msg.content && !msg.isStreaming && (
+              <CopyButton text={msg.content} title="Copy message" className="message-copy" />
+            )}
+            {msg.role === 'ai' && <SourceCitations sources={msg.sources} />}
+            {msg.role === 'ai' && showTrace && <TraceTimeline steps={msg.trace} onFocusNode={onFocusNode} />}
+            {msg.role === 'ai' && showMetrics && !msg.isStreaming && (
+              <RunMetrics metrics={msg.metrics} models={models} />
+            )}
+            {msg.historySent && (
+              <div className="message-meta" title="Previous turns sent with this question">
+                {msg.historySent.turns
+                  ? `+ ${msg.historySent.turns} previous turn(s), ~${msg.historySent.tokens} tokens`
+                  : 'No previous turns sent'}
+              </div>
+            )}
+          </div>
+        ))}
+        {isLoading && (
+          <div className="loading-dots">
+            <span></span>
+            <span></span>
+            <span></span>
+          </div>
+        )}
+      </div>
+      <form className="chat-input" onSubmit={handleSubmit}>
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={placeholder}
+          disabled={isLoading}
+        />
+        {isStreaming ? (
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onStop}
+            title="Stop generating"
+          >
+            <Square size={16} />
+          </button>
+        ) : (
+          <button type="submit" className="btn btn-primary" disabled={isLoading}>
+            <Send size={16} />
+          </button>
+        )}
+      </form>
+    </>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { Plus, Pencil, GitFork, Eraser, Trash2, FileText, FileJson } from 'lucide-react';
+
+// --- Chat Session Switcher --- //
+const ChatSessionBar = ({
+  sessions,
+  activeId,
+  disabled,
+  onSwitch,
+  onNew,
+  onRename,
+  onFork,
+  onClear,
+  onDelete,
+  onExport
+}) => (
+  <div className="chat-session-bar">
+    <select
+      className="config-select"
+      value={activeId || ''}
+      onChange={(e) => onSwitch(e.target.value)}
+      disabled={disabled}
+    >
+      {sessions.map((s) => (
+        <option key={s.id} value={s.id}>
+          {s.name} ({s.messages.filter((m) => m.role === 'user').length} msgs)
+        </option>
+      ))}
+    </select>
+    <button className="icon-btn" title="New session" onClick={onNew} disabled={disabled}>
+      <Plus size={16} />
+    </button>
+    <button className="icon-btn" title="Rename session" onClick={onRename} disabled={disabled}>
+      <Pencil size={16} />
+    </button>
+    <button className="icon-btn" title="Fork session" onClick={onFork} disabled={disabled}>
+      <GitFork size={16} />
+    </button>
+    <button className="icon-btn" title="Clear conversation" onClick={onClear} disabled={disabled}>
+      <Eraser size={16} />
+    </button>
+    <button className="icon-btn" title="Export as Markdown" onClick={() => onExport('md')}>
+      <FileText size={16} />
+    </button>
+    <button className="icon-btn" title="Export as JSON" onClick={() => onExport('json')}>
+      <FileJson size={16} />
+    </button>
+    <button className="icon-btn" title="Delete session" onClick={onDelete} disabled={disabled}>
+      <Trash2 size={16} />
+    </button>
+  </div>
+);
+
+export default ChatSessionBar;
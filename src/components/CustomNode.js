@@ -0,0 +1,75 @@
+import React, { useEffect } from 'react';
+import { Handle, Position, useUpdateNodeInternals } from 'reactflow';
+import { Loader2, Check, XCircle } from 'lucide-react';
+
+const RUN_BADGES = {
+  running: <Loader2 size={14} className="spin" color="#2563eb" />,
+  completed: <Check size={14} color="#16a34a" />,
+  failed: <XCircle size={14} color="#dc2626" />
+};
+
+// --- Canvas Node --- //
+// Renders every registered node type (see src/nodes).
+// `outputs` draws one labeled source handle per entry instead of a single one;
+// `hasInput={false}` hides the target handle for nodes that start a flow.
+const CustomNode = ({ id, data, icon: Icon, label, color, outputs, hasInput = true }) => {
+  const updateNodeInternals = useUpdateNodeInternals();
+  const handleKey = outputs ? outputs.map((o) => o.id).join('|') : '';
+
+  // ReactFlow caches handle positions, so re-measure when routes change
+  useEffect(() => {
+    if (handleKey) updateNodeInternals(id);
+  }, [id, handleKey, updateNodeInternals]);
+
+  return (
+    <div className={data.runStatus ? `run-${data.runStatus}` : undefined} style={{
+      padding: '10px 15px',
+      background: 'white',
+      border: '1px solid #ccc',
+      borderRadius: '8px',
+      minWidth: '150px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.05)',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      flexWrap: outputs ? 'wrap' : undefined
+    }}>
+      {hasInput && <Handle type="target" position={Position.Left} style={{ background: '#555' }} />}
+      <div style={{
+        background: color || '#eff6ff',
+        padding: '6px',
+        borderRadius: '6px',
+        color: '#2563eb',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center'
+      }}>
+        <Icon size={16} />
+      </div>
+      <div>
+        <div style={{ fontSize: '14px', fontWeight: '600' }}>{label}</div>
+        <div style={{ fontSize: '10px', color: '#666' }}>{data.subtext || 'Configure...'}</div>
+      </div>
+      {data.runStatus && <div className="run-badge">{RUN_BADGES[data.runStatus]}</div>}
+      {outputs ? (
+        <div className="node-outputs">
+          {outputs.map((output) => (
+            <div className="node-output" key={output.id}>
+              {output.label}
+              <Handle
+                type="source"
+                id={output.id}
+                position={Position.Right}
+                style={{ background: '#555', right: '-20px' }}
+              />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <Handle type="source" position={Position.Right} style={{ background: '#555' }} />
+      )}
+    </div>
+  );
+};
+
+export default CustomNode;
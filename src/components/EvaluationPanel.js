@@ -0,0 +1,364 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Play, Square, FileUp, Download, GitCompare } from 'lucide-react';
+import { listWorkflows, loadWorkflow } from '../utils/workflowStorage';
+import { validateGraph, hasErrors } from '../utils/workflowValidation';
+import { isAbortError } from '../utils/sseClient';
+import { downloadFile, slugify } from '../utils/download';
+import {
+  CHECK_TYPES,
+  CONCURRENCY,
+  SAMPLE_TEST_SET,
+  parseTestSet,
+  runCase,
+  runPool,
+  summarize,
+  passRate,
+  buildReport,
+  parseReport,
+  reportToCsv
+} from '../utils/evaluation';
+
+const formatMs = (ms) => (ms === null || ms === undefined ? '–' : `${(ms / 1000).toFixed(2)}s`);
+
+const ResultBadge = ({ result }) => {
+  if (!result) return <span className="eval-badge pending">–</span>;
+  if (result.error) return <span className="eval-badge error" title={result.error}>error</span>;
+  if (result.passed === null) return <span className="eval-badge">unchecked</span>;
+  return (
+    <span className={`eval-badge ${result.passed ? 'pass' : 'fail'}`} title={result.detail}>
+      {result.passed ? 'pass' : 'fail'}
+    </span>
+  );
+};
+
+// --- Evaluation Panel Modal --- //
+// Runs a CSV/JSONL test set through the current canvas and, optionally, a
+// saved workflow version, then shows the results side by side. Earlier
+// exported reports can be loaded as extra comparison columns.
+const EvaluationPanel = ({ currentStack, models, onClose, showToast }) => {
+  const testSetInputRef = useRef(null);
+  const reportInputRef = useRef(null);
+  const controllerRef = useRef(null);
+  const [testSet, setTestSet] = useState(null);
+  const [workflows, setWorkflows] = useState([]);
+  const [compare, setCompare] = useState(null);
+  const [compareVersion, setCompareVersion] = useState(null);
+  const [concurrency, setConcurrency] = useState(CONCURRENCY.default);
+  const [runs, setRuns] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  useEffect(() => {
+    listWorkflows().then(setWorkflows).catch((error) => console.error('List workflows error:', error));
+    // Stop in-flight requests when the panel closes
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  const handleTestSetFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const cases = parseTestSet(await file.text(), file.name);
+      setTestSet({ name: file.name, cases });
+      setRuns([]);
+      setProgress(null);
+    } catch (error) {
+      showToast(error.message || 'Could not read the test set', 'error', 6000);
+    }
+  };
+
+  const handleCompareChange = async (id) => {
+    if (!id) {
+      setCompare(null);
+      setCompareVersion(null);
+      return;
+    }
+    try {
+      const workflow = await loadWorkflow(id);
+      setCompare(workflow);
+      setCompareVersion(workflow.versions[workflow.versions.length - 1].version);
+    } catch (error) {
+      showToast(error.message || 'Could not load workflow');
+    }
+  };
+
+  const handleRun = async () => {
+    const targets = [{ label: `${currentStack.name} (canvas)`, nodes: currentStack.nodes, edges: currentStack.edges }];
+    const version = compare?.versions.find((v) => v.version === compareVersion);
+    if (version) targets.push({ label: `${compare.name} v${version.version}`, nodes: version.nodes, edges: version.edges });
+
+    const invalid = targets.find((t) => hasErrors(validateGraph(t.nodes, t.edges, { models })));
+    if (invalid) {
+      showToast(`"${invalid.label}" has validation errors - fix them before evaluating`);
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const jobs = targets.flatMap((target, index) => testSet.cases.map((testCase) => ({ index, target, testCase })));
+    setRuns([...targets.map((t) => ({ label: t.label, results: {} })), ...runs.filter((r) => r.imported)]);
+    setProgress({ done: 0, total: jobs.length });
+    setIsRunning(true);
+
+    try {
+      await runPool(jobs, concurrency, async ({ index, target, testCase }) => {
+        const result = await runCase({ testCase, nodes: target.nodes, edges: target.edges, signal: controller.signal });
+        setRuns((prev) => prev.map((run, i) => (i === index
+          ? { ...run, results: { ...run.results, [testCase.id]: result } }
+          : run)));
+        setProgress((prev) => ({ ...prev, done: prev.done + 1 }));
+      }, controller.signal);
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Evaluation error:', error);
+        showToast(error.message || 'Evaluation failed');
+      }
+    }
+    controllerRef.current = null;
+    setIsRunning(false);
+  };
+
+  const handleReportFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseReport(await file.text(), testSet.cases);
+      setRuns((prev) => [...prev, ...imported]);
+    } catch (error) {
+      showToast(error.message || 'Could not read the report');
+    }
+  };
+
+  const handleExport = (format) => {
+    const report = buildReport({ testSetName: testSet.name, cases: testSet.cases, runs });
+    const base = `${slugify(currentStack.name)}-eval`;
+    if (format === 'csv') {
+      downloadFile(`${base}.csv`, reportToCsv(report), 'text/csv');
+    } else {
+      downloadFile(`${base}.json`, JSON.stringify(report, null, 2));
+    }
+  };
+
+  return (
+    <div className="chat-overlay">
+      <div className="library-box eval-box">
+        <div className="chat-header">
+          <span>Evaluate Stack</span>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="library-toolbar eval-toolbar">
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => testSetInputRef.current.click()}
+            disabled={isRunning}
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <FileUp size={14} /> {testSet ? 'Replace test set' : 'Upload test set'}
+          </button>
+          <input
+            ref={testSetInputRef}
+            type="file"
+            accept=".csv,.jsonl,.json,text/csv"
+            onChange={handleTestSetFile}
+            style={{ display: 'none' }}
+          />
+          <label className="eval-field">
+            Compare with
+            <select
+              className="config-select"
+              value={compare?.id || ''}
+              disabled={isRunning}
+              onChange={(e) => handleCompareChange(e.target.value)}
+            >
+              <option value="">Nothing</option>
+              {workflows.map((wf) => <option key={wf.id} value={wf.id}>{wf.name}</option>)}
+            </select>
+          </label>
+          {compare && (
+            <select
+              className="config-select"
+              value={compareVersion}
+              disabled={isRunning}
+              onChange={(e) => setCompareVersion(Number(e.target.value))}
+              style={{ width: 'auto' }}
+            >
+              {[...compare.versions].reverse().map((v) => (
+                <option key={v.version} value={v.version}>v{v.version}</option>
+              ))}
+            </select>
+          )}
+          <label className="eval-field">
+            Parallel
+            <input
+              className="config-input"
+              type="number"
+              min={CONCURRENCY.min}
+              max={CONCURRENCY.max}
+              value={concurrency}
+              disabled={isRunning}
+              onChange={(e) => setConcurrency(
+                Math.min(CONCURRENCY.max, Math.max(CONCURRENCY.min, Number(e.target.value) || CONCURRENCY.min))
+              )}
+              style={{ width: '56px' }}
+            />
+          </label>
+          {isRunning ? (
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => controllerRef.current?.abort()}
+              style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+            >
+              <Square size={14} /> Stop
+            </button>
+          ) : (
+            <button
+              className="btn btn-primary btn-small"
+              onClick={handleRun}
+              disabled={!testSet}
+              style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+            >
+              <Play size={14} /> Run {testSet ? testSet.cases.length : ''}
+            </button>
+          )}
+        </div>
+
+        <div className="library-list">
+          {!testSet && (
+            <div className="library-empty">
+              <p>
+                Upload a CSV (with a header row) or JSONL file. Columns: <code>question</code>,{' '}
+                <code>expected</code>, <code>check</code> ({Object.keys(CHECK_TYPES).join(' / ')}),{' '}
+                <code>keywords</code>, <code>pattern</code>.
+              </p>
+              <button
+                className="btn btn-secondary btn-small"
+                onClick={() => downloadFile('sample-test-set.csv', SAMPLE_TEST_SET, 'text/csv')}
+              >
+                Download a sample
+              </button>
+            </div>
+          )}
+
+          {testSet && (
+            <>
+              <div className="eval-summary-row">
+                <span className="config-hint">
+                  {testSet.name} · {testSet.cases.length} case(s)
+                  {progress && ` · ${progress.done}/${progress.total} run`}
+                </span>
+                <div className="library-actions">
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => reportInputRef.current.click()}
+                    disabled={isRunning}
+                    title="Add the runs of an exported report as comparison columns"
+                    style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+                  >
+                    <GitCompare size={14} /> Compare report
+                  </button>
+                  <input
+                    ref={reportInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleReportFile}
+                    style={{ display: 'none' }}
+                  />
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => handleExport('json')}
+                    disabled={!runs.length || isRunning}
+                    style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+                  >
+                    <Download size={14} /> JSON
+                  </button>
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => handleExport('csv')}
+                    disabled={!runs.length || isRunning}
+                    style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+                  >
+                    <Download size={14} /> CSV
+                  </button>
+                </div>
+              </div>
+
+              {runs.length > 0 && (
+                <div className="eval-summaries">
+                  {runs.map((run, idx) => {
+                    const summary = summarize(testSet.cases, run.results);
+                    const rate = passRate(summary);
+                    return (
+                      <div className="eval-summary" key={idx}>
+                        <div style={{ fontWeight: 600 }}>{run.label}</div>
+                        <div className="eval-rate">{rate === null ? '–' : `${rate}%`}</div>
+                        <div className="config-hint">
+                          {summary.passed} pass · {summary.failed} fail · {summary.errors} error
+                        </div>
+                        <div className="config-hint">
+                          avg {formatMs(summary.avgLatencyMs)} · p95 {formatMs(summary.p95LatencyMs)}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              <table className="eval-table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Question</th>
+                    <th>Expected</th>
+                    {runs.map((run, idx) => <th key={idx}>{run.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {testSet.cases.map((testCase, caseIdx) => (
+                    <tr key={testCase.id}>
+                      <td>{caseIdx + 1}</td>
+                      <td>{testCase.question}</td>
+                      <td>
+                        {testCase.check ? (
+                          <>
+                            <div className="config-hint">{CHECK_TYPES[testCase.check]}</div>
+                            {testCase.keywords?.join(', ') || testCase.pattern || testCase.expected}
+                          </>
+                        ) : <span className="config-hint">Not checked</span>}
+                      </td>
+                      {runs.map((run, idx) => {
+                        const result = run.results[testCase.id];
+                        return (
+                          <td key={idx}>
+                            <div className="eval-result-meta">
+                              <ResultBadge result={result} />
+                              {result && <span className="config-hint">{formatMs(result.latencyMs)}</span>}
+                            </div>
+                            {result && (
+                              <div className="eval-response" title={result.error || result.response}>
+                                {result.error || result.response || <em>Empty response</em>}
+                              </div>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EvaluationPanel;
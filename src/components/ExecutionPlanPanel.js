@@ -0,0 +1,134 @@
+import React from 'react';
+import { X, AlertTriangle, Plus, Minus, Pencil } from 'lucide-react';
+import { formatConfigValue } from '../utils/executionPlan';
+
+const ConfigChange = ({ change }) => (
+  <li className="plan-change">
+    <code>{change.key}</code>
+    <span className="plan-change-before">{formatConfigValue(change.before)}</span>
+    <span>→</span>
+    <span className="plan-change-after">{formatConfigValue(change.after)}</span>
+  </li>
+);
+
+// --- Execution Plan Panel --- //
+// Side panel with the plan of the last "Build Stack": steps in run order with
+// the config each will use, backend warnings, and what changed since the
+// previous build. Clicking a step or warning shows its node on the canvas.
+const ExecutionPlanPanel = ({ build, diff, onFocusNode, onClose }) => {
+  const { steps, warnings } = build.plan;
+  const labels = Object.fromEntries(steps.map((s) => [s.nodeId, s.label]));
+  const changedIds = new Set(diff ? diff.changed.map((c) => c.nodeId) : []);
+  const addedIds = new Set(diff ? diff.added.map((s) => s.nodeId) : []);
+
+  return (
+    <aside className="config-panel plan-panel">
+      <div style={{
+        marginBottom: '12px',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+      }}>
+        <h3 style={{ margin: 0 }}>Execution Plan</h3>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+        >
+          <X size={16} />
+        </button>
+      </div>
+      <div className="config-hint" style={{ fontSize: '12px', marginBottom: '16px' }}>
+        Built {new Date(build.builtAt).toLocaleString()} · {steps.length} step(s)
+      </div>
+
+      {warnings.length > 0 && (
+        <div className="config-section">
+          <span className="config-label">Warnings</span>
+          <ul className="validation-list">
+            {warnings.map((warning, idx) => (
+              <li
+                key={idx}
+                className="validation-item warning"
+                onClick={() => warning.nodeId && onFocusNode(warning.nodeId)}
+                title={warning.nodeId ? 'Show on canvas' : undefined}
+              >
+                <AlertTriangle size={14} />
+                <span>{warning.nodeId && labels[warning.nodeId] ? `${labels[warning.nodeId]}: ` : ''}{warning.message}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="config-section">
+        <span className="config-label">Changes Since Previous Build</span>
+        {!diff && <p className="plan-empty">First build of this stack - nothing to compare yet.</p>}
+        {diff?.isEmpty && <p className="plan-empty">No changes.</p>}
+        {diff && !diff.isEmpty && (
+          <ul className="plan-diff">
+            {diff.added.map((s) => (
+              <li key={`added-${s.nodeId}`} className="plan-diff-item added">
+                <Plus size={12} /> {s.label} <span className="config-hint">added as step {s.step}</span>
+              </li>
+            ))}
+            {diff.removed.map((s) => (
+              <li key={`removed-${s.nodeId}`} className="plan-diff-item removed">
+                <Minus size={12} /> {s.label} <span className="config-hint">removed</span>
+              </li>
+            ))}
+            {diff.changed.map((c) => (
+              <li key={`changed-${c.nodeId}`} className="plan-diff-item changed">
+                <div onClick={() => onFocusNode(c.nodeId)} style={{ cursor: 'pointer' }}>
+                  <Pencil size={12} /> {c.label}
+                  {c.moved && <span className="config-hint"> moved from step {c.moved.from} to {c.moved.to}</span>}
+                </div>
+                {c.changes.length > 0 && (
+                  <ul>
+                    {c.changes.map((change) => <ConfigChange key={change.key} change={change} />)}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="config-section">
+        <span className="config-label">Steps</span>
+        <ol className="plan-steps">
+          {steps.map((step) => (
+            <li key={`${step.step}-${step.nodeId}`} className="plan-step">
+              <div className="plan-step-header" onClick={() => onFocusNode(step.nodeId)} title="Show on canvas">
+                <span className="plan-step-number">{step.step}</span>
+                <span className="plan-step-label">{step.label}</span>
+                {addedIds.has(step.nodeId) && <span className="plan-badge added">new</span>}
+                {changedIds.has(step.nodeId) && <span className="plan-badge changed">changed</span>}
+              </div>
+              <div className="config-hint plan-step-meta">
+                {step.nodeType}
+                {step.inputs.length > 0 && ` · after ${step.inputs.map((id) => labels[id] || id).join(', ')}`}
+              </div>
+              <details className="plan-step-config">
+                <summary>
+                  Config{!step.fromBackend && <span className="config-hint"> (as sent)</span>}
+                </summary>
+                <table className="plan-config">
+                  <tbody>
+                    {Object.entries(step.config).map(([key, value]) => (
+                      <tr key={key}>
+                        <td><code>{key}</code></td>
+                        <td>{formatConfigValue(value)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </aside>
+  );
+};
+
+export default ExecutionPlanPanel;
@@ -0,0 +1,6 @@
+import React from 'react';
+
+// Inline validation message under a config field
+const FieldError = ({ message }) => (message ? <div className="field-error">{message}</div> : null);
+
+export default FieldError;
@@ -0,0 +1,51 @@
+import React, { createContext, useContext } from 'react';
+import { Handle, Position, NodeResizer } from 'reactflow';
+import { ChevronDown, ChevronRight, Ungroup } from 'lucide-react';
+
+// Frame actions live in App state; ReactFlow only passes node props
+export const FrameActionsContext = createContext({});
+
+// --- Group Frame --- //
+// Labeled, collapsible box around a set of components (see utils/canvasGroups).
+// The handles are not connectable; they only anchor edges of hidden members
+// while the frame is collapsed.
+const GroupNode = ({ id, data, selected }) => {
+  const { toggleFrame, renameFrame, ungroup, onResizeStart } = useContext(FrameActionsContext);
+
+  return (
+    <>
+      <NodeResizer
+        isVisible={selected && !data.collapsed}
+        minWidth={160}
+        minHeight={80}
+        onResizeStart={onResizeStart}
+        lineStyle={{ borderColor: '#2563eb' }}
+      />
+      <div className={`group-frame ${data.collapsed ? 'collapsed' : ''}`}>
+        <Handle type="target" position={Position.Left} isConnectable={false} className="frame-handle" />
+        <div className="group-frame-header">
+          <button
+            className="icon-btn nodrag"
+            title={data.collapsed ? 'Expand' : 'Collapse'}
+            onClick={() => toggleFrame(id)}
+          >
+            {data.collapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+          </button>
+          <input
+            className="group-frame-title nodrag"
+            value={data.label}
+            placeholder="Group"
+            onChange={(e) => renameFrame(id, e.target.value)}
+          />
+          {data.collapsed && <span className="group-frame-count">{data.hiddenCount} hidden</span>}
+          <button className="icon-btn nodrag" title="Ungroup" onClick={() => ungroup(id)}>
+            <Ungroup size={14} />
+          </button>
+        </div>
+        <Handle type="source" position={Position.Right} isConnectable={false} className="frame-handle" />
+      </div>
+    </>
+  );
+};
+
+export default GroupNode;
@@ -0,0 +1,32 @@
+import React from 'react';
+import NumberField from './NumberField';
+import { HISTORY_MODES, HISTORY_FIELDS, HISTORY_MODE_FIELDS, validateHistorySettings } from '../utils/chatHistory';
+
+// --- Conversation History Settings --- //
+// How many earlier chat turns an LLM Engine receives.
+const HistorySettings = ({ data, onChange }) => {
+  const errors = validateHistorySettings(data);
+  const key = HISTORY_MODE_FIELDS[data.historyMode];
+
+  return (
+    <>
+      <div className="config-section">
+        <span className="config-label">Conversation History</span>
+        <select
+          className="config-select"
+          value={data.historyMode || 'off'}
+          onChange={(e) => onChange('historyMode', e.target.value)}
+        >
+          {Object.entries(HISTORY_MODES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {key && (
+        <NumberField name={key} field={HISTORY_FIELDS[key]} data={data} error={errors[key]} onChange={onChange} />
+      )}
+    </>
+  );
+};
+
+export default HistorySettings;
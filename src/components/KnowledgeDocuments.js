@@ -0,0 +1,110 @@
+import React, { useState, useRef } from 'react';
+import { UploadCloud, X, Trash2, RefreshCw, FileText, AlertCircle } from 'lucide-react';
+import { ACCEPTED_EXTENSIONS, MAX_FILE_SIZE, formatBytes, getDocuments } from '../utils/documents';
+
+const STATUS_LABELS = {
+  uploading: 'Uploading',
+  indexing: 'Processing',
+  ready: 'Ready',
+  failed: 'Failed'
+};
+
+// --- Knowledge Base Document Manager --- //
+// Drop zone + list of attached documents for the config panel.
+const KnowledgeDocuments = ({ node, onUpload, onCancel, onRemove, onReindex }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+  const documents = getDocuments(node.data);
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setIsDragging(false);
+    if (event.dataTransfer.files.length) onUpload(node, event.dataTransfer.files);
+  };
+
+  return (
+    <>
+      <div
+        className={`dropzone ${isDragging ? 'dragging' : ''}`}
+        onClick={() => inputRef.current.click()}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <UploadCloud size={20} />
+        <div>Drop files here or click to browse</div>
+        <div className="dropzone-hint">
+          {ACCEPTED_EXTENSIONS.join(', ')} · up to {formatBytes(MAX_FILE_SIZE)} each
+        </div>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={ACCEPTED_EXTENSIONS.join(',')}
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            onUpload(node, e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      {documents.length > 0 && (
+        <ul className="document-list">
+          {documents.map((doc) => {
+            const busy = doc.status === 'uploading' || doc.status === 'indexing';
+            return (
+              <li key={doc.id} className={`document-item ${doc.status}`}>
+                <div className="document-row">
+                  <FileText size={14} />
+                  <div className="document-info">
+                    <div className="document-name" title={doc.filename}>{doc.filename}</div>
+                    <div className="document-meta">
+                      {STATUS_LABELS[doc.status]}
+                      {doc.size ? ` · ${formatBytes(doc.size)}` : ''}
+                      {doc.status === 'uploading' ? ` · ${doc.progress || 0}%` : ''}
+                    </div>
+                  </div>
+                  {busy && doc.status === 'uploading' && (
+                    <button className="icon-btn" title="Cancel upload" onClick={() => onCancel(doc.id)}>
+                      <X size={14} />
+                    </button>
+                  )}
+                  {!busy && (
+                    <button className="icon-btn" title={doc.status === 'failed' ? 'Retry' : 'Re-index'} onClick={() => onReindex(node, doc)}>
+                      <RefreshCw size={14} />
+                    </button>
+                  )}
+                  {!busy && (
+                    <button className="icon-btn" title="Remove" onClick={() => onRemove(node, doc)}>
+                      <Trash2 size={14} />
+                    </button>
+                  )}
+                </div>
+                {busy && (
+                  <div className="progress-bar">
+                    <div
+                      className={`progress-fill ${doc.status === 'indexing' ? 'indeterminate' : ''}`}
+                      style={{ width: `${doc.status === 'indexing' ? 100 : doc.progress || 0}%` }}
+                    />
+                  </div>
+                )}
+                {doc.error && (
+                  <div className="document-error">
+                    <AlertCircle size={12} /> {doc.error}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </>
+  );
+};
+
+export default KnowledgeDocuments;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import FieldError from './FieldError';
+import NumberField from './NumberField';
+import { groupByProvider, formatContextWindow, contextWindowFor } from '../utils/modelCatalog';
+import {
+  DEFAULT_MODEL,
+  LLM_FIELDS,
+  RESPONSE_FORMATS,
+  MAX_STOP_SEQUENCES,
+  validateLlmSettings
+} from '../utils/llmSettings';
+
+// --- LLM Engine Settings --- //
+// Model picker (grouped by provider) and generation parameters.
+const LlmSettings = ({ data, catalog, onChange }) => {
+  const [stopDraft, setStopDraft] = useState('');
+  const model = data.model || DEFAULT_MODEL;
+  const modelInfo = catalog.models.find((m) => m.id === model);
+  const contextWindow = contextWindowFor(model, catalog.models);
+  const errors = validateLlmSettings(data, contextWindow);
+  const stops = data.stopSequences || [];
+
+  const addStop = () => {
+    if (!stopDraft || stops.includes(stopDraft)) return;
+    onChange('stopSequences', [...stops, stopDraft]);
+    setStopDraft('');
+  };
+
+  return (
+    <>
+      <div className="config-section">
+        <span className="config-label">
+          Model{' '}
+          <span className="config-hint" title={catalog.error ? `Models unavailable: ${catalog.error}` : undefined}>
+            {catalog.source === 'backend' ? '(from backend)' : '(built-in list)'}
+          </span>
+        </span>
+        <select
+          className="config-select"
+          value={model}
+          onChange={(e) => onChange('model', e.target.value)}
+        >
+          {!modelInfo && <option value={model}>{model} (unavailable)</option>}
+          {Object.entries(groupByProvider(catalog.models)).map(([provider, models]) => (
+            <optgroup key={provider} label={provider}>
+              {models.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.name}{m.contextWindow ? ` · ${formatContextWindow(m.contextWindow)}` : ''}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        {!data.model && (
+          <div className="config-hint" style={{ marginTop: '-6px' }}>Using the default model</div>
+        )}
+      </div>
+
+      {Object.entries(LLM_FIELDS).map(([key, field]) => (
+        <NumberField
+          key={key}
+          name={key}
+          // Max tokens cannot exceed the selected model's context window
+          field={key === 'maxTokens' && contextWindow ? { ...field, max: Math.min(field.max, contextWindow) } : field}
+          data={data}
+          error={errors[key]}
+          onChange={onChange}
+        />
+      ))}
+
+      <div className="config-section">
+        <span className="config-label">
+          Stop Sequences <span className="config-hint">(up to {MAX_STOP_SEQUENCES})</span>
+        </span>
+        {stops.length > 0 && (
+          <div className="chip-list">
+            {stops.map((stop) => (
+              <span className="chip" key={stop}>
+                <code>{JSON.stringify(stop)}</code>
+                <button
+                  className="icon-btn"
+                  title="Remove"
+                  onClick={() => onChange('stopSequences', stops.filter((s) => s !== stop))}
+                >
+                  <X size={10} />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        <input
+          className="config-input"
+          placeholder="Type a sequence and press Enter"
+          value={stopDraft}
+          disabled={stops.length >= MAX_STOP_SEQUENCES}
+          onChange={(e) => setStopDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              addStop();
+            }
+          }}
+        />
+        <FieldError message={errors.stopSequences} />
+      </div>
+
+      <div className="config-section">
+        <span className="config-label">Response Format</span>
+        <select
+          className="config-select"
+          value={data.responseFormat || 'text'}
+          onChange={(e) => onChange('responseFormat', e.target.value)}
+        >
+          {Object.entries(RESPONSE_FORMATS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {data.responseFormat === 'json_schema' && (
+          <>
+            <textarea
+              className={`config-textarea code ${errors.jsonSchema ? 'invalid' : ''}`}
+              placeholder={'{\n  "type": "object",\n  "properties": { "answer": { "type": "string" } }\n}'}
+              value={data.jsonSchema || ''}
+              onChange={(e) => onChange('jsonSchema', e.target.value)}
+            />
+            <FieldError message={errors.jsonSchema} />
+          </>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default LlmSettings;
@@ -0,0 +1,74 @@
+import React, { useState, memo } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeHighlight from 'rehype-highlight';
+import { Copy, Check } from 'lucide-react';
+import 'highlight.js/styles/github.css';
+
+// --- Copy Button --- //
+export const CopyButton = ({ text, title = 'Copy', className = '' }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (error) {
+      console.error('Copy failed:', error);
+    }
+  };
+
+  return (
+    <button type="button" className={`copy-btn ${className}`} title={copied ? 'Copied!' : title} onClick={handleCopy}>
+      {copied ? <Check size={12} /> : <Copy size={12} />}
+    </button>
+  );
+};
+
+// Flatten a hast node back to its text (used for copying code blocks)
+const hastToText = (node) => {
+  if (!node) return '';
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(hastToText).join('');
+};
+
+// While a response is still streaming, an open ``` fence would swallow the
+// rest of the message; close it so the partial block renders as code.
+const closeOpenFence = (text) => {
+  const fences = text.match(/^\s*(```|~~~)/gm) || [];
+  return fences.length % 2 === 1 ? `${text}\n\`\`\`` : text;
+};
+
+const markdownComponents = {
+  pre: ({ node, children, ...props }) => (
+    <div className="code-block">
+      <CopyButton text={hastToText(node).replace(/\n$/, '')} title="Copy code" className="code-copy" />
+      <pre {...props}>{children}</pre>
+    </div>
+  ),
+  table: ({ node, ...props }) => (
+    <div className="table-wrapper">
+      <table {...props} />
+    </div>
+  )
+};
+
+// --- Markdown Message --- //
+// Renders LLM output as GitHub-flavoured Markdown. Raw HTML in the source is
+// never rendered (react-markdown escapes it) and unsafe link protocols such as
+// `javascript:` are stripped by its default URL transform.
+const MarkdownMessage = ({ content, isStreaming }) => (
+  <div className={`markdown-body ${isStreaming ? 'streaming' : ''}`}>
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm]}
+      rehypePlugins={[[rehypeHighlight, { ignoreMissing: true }]]}
+      components={markdownComponents}
+      linkTarget="_blank"
+    >
+      {isStreaming ? closeOpenFence(content) : content}
+    </ReactMarkdown>
+  </div>
+);
+
+export default memo(MarkdownMessage);
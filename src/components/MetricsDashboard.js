@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { summarizeMetrics, formatCost, formatMs } from '../utils/runMetrics';
+
+const SCOPES = {
+  session: 'This session',
+  workflow: 'All sessions of this stack'
+};
+
+const formatTokens = (count) => (count >= 10000 ? `${(count / 1000).toFixed(1)}k` : String(count));
+
+// --- Usage & Latency Dashboard --- //
+// Aggregates the run metrics stored on chat messages (utils/runMetrics) for
+// the active session or every session of the current workflow. `sessions`
+// must already contain the live messages of the active session.
+const MetricsDashboard = ({ sessions, activeSessionId, workflowName, models, onClose }) => {
+  const [scope, setScope] = useState('session');
+  const scoped = scope === 'session' ? sessions.filter((s) => s.id === activeSessionId) : sessions;
+  const summary = summarizeMetrics(scoped.flatMap((s) => s.messages), models);
+
+  return (
+    <div className="chat-overlay">
+      <div className="library-box metrics-box">
+        <div className="chat-header">
+          <span>Usage & Latency · {workflowName}</span>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="library-toolbar">
+          <select className="config-select" value={scope} onChange={(e) => setScope(e.target.value)} style={{ width: 'auto' }}>
+            {Object.entries(SCOPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          {summary.estimated && (
+            <span className="config-hint" style={{ fontSize: '12px' }}>
+              ~ Some token counts are estimated: the backend reported no usage for those runs.
+            </span>
+          )}
+        </div>
+
+        <div className="library-list">
+          {summary.runs === 0 ? (
+            <div className="library-empty">
+              <p>No runs yet. Metrics are recorded for every chat turn from now on.</p>
+            </div>
+          ) : (
+            <>
+              <div className="eval-summaries">
+                <div className="eval-summary">
+                  <div className="config-hint">Runs</div>
+                  <div className="eval-rate">{summary.runs}</div>
+                  <div className="config-hint">{summary.failed} failed or stopped</div>
+                </div>
+                <div className="eval-summary">
+                  <div className="config-hint">Time to first token</div>
+                  <div className="eval-rate">{formatMs(summary.avgTtftMs)}</div>
+                  <div className="config-hint">average</div>
+                </div>
+                <div className="eval-summary">
+                  <div className="config-hint">Total latency</div>
+                  <div className="eval-rate">{formatMs(summary.avgTotalMs)}</div>
+                  <div className="config-hint">p95 {formatMs(summary.p95TotalMs)}</div>
+                </div>
+                <div className="eval-summary">
+                  <div className="config-hint">Tokens</div>
+                  <div className="eval-rate">{formatTokens(summary.promptTokens + summary.completionTokens)}</div>
+                  <div className="config-hint">
+                    {formatTokens(summary.promptTokens)} in · {formatTokens(summary.completionTokens)} out
+                  </div>
+                </div>
+                <div className="eval-summary">
+                  <div className="config-hint">Estimated cost</div>
+                  <div className="eval-rate">{formatCost(summary.cost)}</div>
+                  <div className="config-hint">
+                    {summary.cost === null ? 'no pricing for some models' : 'from model pricing'}
+                  </div>
+                </div>
+              </div>
+
+              <table className="eval-table">
+                <thead>
+                  <tr>
+                    <th>Model</th>
+                    <th>LLM calls</th>
+                    <th>Prompt tokens</th>
+                    <th>Completion tokens</th>
+                    <th>Est. cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.models.map((m) => (
+                    <tr key={m.model}>
+                      <td>{m.model}</td>
+                      <td>{m.calls}</td>
+                      <td>{m.promptTokens}</td>
+                      <td>{m.completionTokens}</td>
+                      <td>{formatCost(m.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <table className="eval-table">
+                <thead>
+                  <tr>
+                    <th>Step</th>
+                    <th>Runs</th>
+                    <th>Average</th>
+                    <th>p95</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.steps.map((s) => (
+                    <tr key={s.label}>
+                      <td>{s.label}</td>
+                      <td>{s.runs}</td>
+                      <td>{formatMs(s.avgMs)}</td>
+                      <td>{formatMs(s.p95Ms)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {scope === 'workflow' && (
+                <table className="eval-table">
+                  <thead>
+                    <tr>
+                      <th>Session</th>
+                      <th>Runs</th>
+                      <th>Avg latency</th>
+                      <th>Tokens</th>
+                      <th>Est. cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sessions.map((session) => {
+                      const s = summarizeMetrics(session.messages, models);
+                      return (
+                        <tr key={session.id}>
+                          <td>{session.name}{session.id === activeSessionId ? ' (current)' : ''}</td>
+                          <td>{s.runs}</td>
+                          <td>{formatMs(s.avgTotalMs)}</td>
+                          <td>{formatTokens(s.promptTokens + s.completionTokens)}</td>
+                          <td>{formatCost(s.cost)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MetricsDashboard;
@@ -0,0 +1,24 @@
+import React from 'react';
+import FieldError from './FieldError';
+
+// Numeric config field driven by a `{ label, min, max, step, default }` definition
+const NumberField = ({ name, field, data, error, onChange }) => (
+  <div className="config-section">
+    <span className="config-label">
+      {field.label} <span className="config-hint">({field.min}–{field.max})</span>
+    </span>
+    <input
+      className={`config-input ${error ? 'invalid' : ''}`}
+      type="number"
+      min={field.min}
+      max={field.max}
+      step={field.step}
+      placeholder={String(field.default)}
+      value={data[name] === undefined || Number.isNaN(data[name]) ? '' : data[name]}
+      onChange={(e) => onChange(name, e.target.value === '' ? undefined : Number(e.target.value))}
+    />
+    <FieldError message={error} />
+  </div>
+);
+
+export default NumberField;
@@ -0,0 +1,172 @@
+import React, { useRef, useState } from 'react';
+import { Plus, X, Save, Trash2 } from 'lucide-react';
+import FieldError from './FieldError';
+import {
+  SAMPLE_VALUES,
+  availableVariables,
+  missingVariables,
+  renderTemplate,
+  listPrompts,
+  savePrompt,
+  deletePrompt
+} from '../utils/promptTemplates';
+
+// --- Prompt Template Editor --- //
+// System prompt with `{{variable}}` placeholders, a variable picker, custom
+// variables, a live preview and the saved prompt library.
+const PromptTemplateEditor = ({ node, nodes, edges, onChange }) => {
+  const textareaRef = useRef(null);
+  const [sampleQuery, setSampleQuery] = useState('How many vacation days do I get?');
+  const [library, setLibrary] = useState(listPrompts);
+  const template = node.data.prompt || '';
+  const customVars = node.data.promptVariables || [];
+  const available = availableVariables(node, nodes, edges);
+  const missing = missingVariables(node, nodes, edges);
+
+  const insertVariable = (name) => {
+    const el = textareaRef.current;
+    const start = el ? el.selectionStart : template.length;
+    const end = el ? el.selectionEnd : template.length;
+    const placeholder = `{{${name}}}`;
+    onChange('prompt', template.slice(0, start) + placeholder + template.slice(end));
+    requestAnimationFrame(() => {
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(start + placeholder.length, start + placeholder.length);
+    });
+  };
+
+  const setCustomVar = (idx, field, value) => {
+    onChange('promptVariables', customVars.map((v, i) => (i === idx ? { ...v, [field]: value } : v)));
+  };
+
+  const handleSave = () => {
+    const name = window.prompt('Save prompt as', node.data.label || 'My prompt');
+    if (!name) return;
+    savePrompt(name, template);
+    setLibrary(listPrompts());
+  };
+
+  const handleDelete = (id) => {
+    deletePrompt(id);
+    setLibrary(listPrompts());
+  };
+
+  const preview = renderTemplate(template, {
+    ...SAMPLE_VALUES,
+    ...Object.fromEntries(customVars.filter((v) => v.name).map((v) => [v.name, v.value])),
+    query: sampleQuery
+  });
+
+  return (
+    <>
+      <div className="config-section">
+        <span className="config-label">System Prompt</span>
+        <div className="variable-picker">
+          {Object.entries(available).map(([name, { source, description }]) => (
+            <button
+              key={name}
+              className="variable-chip"
+              title={`${description || name} (${source}) — click to insert`}
+              onClick={() => insertVariable(name)}
+            >
+              {`{{${name}}}`}
+            </button>
+          ))}
+          {!Object.keys(available).length && (
+            <span className="config-hint">Connect upstream nodes to get variables</span>
+          )}
+        </div>
+        <textarea
+          ref={textareaRef}
+          className={`config-textarea code ${missing.length ? 'invalid' : ''}`}
+          placeholder="You are a helpful assistant. Answer using {{context}}..."
+          value={template}
+          onChange={(e) => onChange('prompt', e.target.value)}
+        />
+        <FieldError
+          message={missing.length
+            ? `Not provided by any upstream node: ${missing.map((n) => `{{${n}}}`).join(', ')}`
+            : null}
+        />
+      </div>
+
+      <div className="config-section">
+        <span className="config-label">Custom Variables</span>
+        {customVars.map((v, idx) => (
+          <div className="filter-row" key={idx}>
+            <input
+              className="config-input"
+              placeholder="name"
+              value={v.name}
+              onChange={(e) => setCustomVar(idx, 'name', e.target.value.replace(/[^\w]/g, ''))}
+            />
+            <input
+              className="config-input"
+              placeholder="value"
+              value={v.value}
+              onChange={(e) => setCustomVar(idx, 'value', e.target.value)}
+            />
+            <button
+              className="icon-btn"
+              title="Remove variable"
+              onClick={() => onChange('promptVariables', customVars.filter((_, i) => i !== idx))}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => onChange('promptVariables', [...customVars, { name: '', value: '' }])}
+          style={{ display: 'flex', gap: '4px', alignItems: 'center' }}
+        >
+          <Plus size={12} /> Add variable
+        </button>
+      </div>
+
+      <div className="config-section">
+        <span className="config-label">Preview</span>
+        <input
+          className="config-input"
+          placeholder="Sample query"
+          value={sampleQuery}
+          onChange={(e) => setSampleQuery(e.target.value)}
+        />
+        <pre className="prompt-preview">{preview || 'Empty prompt'}</pre>
+      </div>
+
+      <div className="config-section">
+        <span className="config-label">Prompt Library</span>
+        <div className="prompt-library">
+          {library.map((p) => (
+            <div className="prompt-library-item" key={p.id}>
+              <button
+                className="prompt-library-load"
+                title={p.template}
+                onClick={() => onChange('prompt', p.template)}
+              >
+                {p.name}
+              </button>
+              {!p.builtin && (
+                <button className="icon-btn" title="Delete from library" onClick={() => handleDelete(p.id)}>
+                  <Trash2 size={12} />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={handleSave}
+          disabled={!template.trim()}
+          style={{ display: 'flex', gap: '4px', alignItems: 'center' }}
+        >
+          <Save size={12} /> Save current prompt
+        </button>
+      </div>
+    </>
+  );
+};
+
+export default PromptTemplateEditor;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import FieldError from './FieldError';
+import NumberField from './NumberField';
+import { RETRIEVAL_FIELDS, SPLITTERS, validateRetrievalSettings } from '../utils/retrievalSettings';
+
+// --- Retrieval Settings --- //
+// Chunking and retrieval controls for the Knowledge Base config panel.
+const RetrievalSettings = ({ data, onChange }) => {
+  const errors = validateRetrievalSettings(data);
+  const filters = data.metadataFilters || [];
+
+  const setFilter = (idx, field, value) => {
+    onChange('metadataFilters', filters.map((f, i) => (i === idx ? { ...f, [field]: value } : f)));
+  };
+
+  return (
+    <>
+      <div className="config-section">
+        <span className="config-label">Splitter Strategy</span>
+        <select
+          className="config-select"
+          value={data.splitter || 'fixed'}
+          onChange={(e) => onChange('splitter', e.target.value)}
+        >
+          {Object.entries(SPLITTERS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <FieldError message={errors.splitter} />
+      </div>
+
+      {Object.entries(RETRIEVAL_FIELDS).map(([key, field]) => (
+        <NumberField key={key} name={key} field={field} data={data} error={errors[key]} onChange={onChange} />
+      ))}
+
+      <div className="config-section">
+        <span className="config-label">Metadata Filters</span>
+        {filters.map((filter, idx) => (
+          <div className="filter-row" key={idx}>
+            <input
+              className="config-input"
+              placeholder="key"
+              value={filter.key || ''}
+              onChange={(e) => setFilter(idx, 'key', e.target.value)}
+            />
+            <input
+              className="config-input"
+              placeholder="value"
+              value={filter.value ?? ''}
+              onChange={(e) => setFilter(idx, 'value', e.target.value)}
+            />
+            <button
+              className="icon-btn"
+              title="Remove filter"
+              onClick={() => onChange('metadataFilters', filters.filter((_, i) => i !== idx))}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => onChange('metadataFilters', [...filters, { key: '', value: '' }])}
+          style={{ display: 'flex', gap: '4px', alignItems: 'center' }}
+        >
+          <Plus size={12} /> Add filter
+        </button>
+        <FieldError message={errors.metadataFilters} />
+      </div>
+    </>
+  );
+};
+
+export default RetrievalSettings;
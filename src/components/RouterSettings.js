@@ -0,0 +1,104 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import FieldError from './FieldError';
+import {
+  ROUTER_MODES,
+  CONDITION_OPERATORS,
+  createRoute,
+  getRoutes,
+  validateRouterSettings
+} from '../utils/routerSettings';
+
+// --- Router Settings --- //
+// Each route becomes a labeled output handle on the node.
+const RouterSettings = ({ data, onChange }) => {
+  const errors = validateRouterSettings(data);
+  const routes = getRoutes(data);
+  const mode = data.routerMode || 'condition';
+
+  const setRoute = (idx, field, value) => {
+    onChange('routes', routes.map((r, i) => (i === idx ? { ...r, [field]: value } : r)));
+  };
+
+  return (
+    <>
+      <div className="config-section">
+        <span className="config-label">Routing Mode</span>
+        <select
+          className="config-select"
+          value={mode}
+          onChange={(e) => onChange('routerMode', e.target.value)}
+        >
+          {Object.entries(ROUTER_MODES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <div className="config-hint" style={{ marginTop: '-6px' }}>
+          {mode === 'condition'
+            ? 'The first route whose condition matches the query is taken.'
+            : 'An LLM picks the route whose description best fits the query.'}
+        </div>
+      </div>
+
+      <div className="config-section">
+        <span className="config-label">Routes</span>
+        {routes.map((route, idx) => (
+          <div className="route-card" key={route.id}>
+            <div className="filter-row">
+              <input
+                className="config-input"
+                placeholder="Label"
+                value={route.label}
+                onChange={(e) => setRoute(idx, 'label', e.target.value)}
+              />
+              <button
+                className="icon-btn"
+                title="Remove route"
+                onClick={() => onChange('routes', routes.filter((_, i) => i !== idx))}
+              >
+                <X size={14} />
+              </button>
+            </div>
+            {mode === 'condition' ? (
+              <div className="filter-row">
+                <select
+                  className="config-select"
+                  value={route.operator}
+                  onChange={(e) => setRoute(idx, 'operator', e.target.value)}
+                >
+                  {Object.entries(CONDITION_OPERATORS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  className="config-input"
+                  placeholder="value"
+                  value={route.value}
+                  onChange={(e) => setRoute(idx, 'value', e.target.value)}
+                />
+              </div>
+            ) : (
+              <input
+                className="config-input"
+                placeholder="When should this route be chosen?"
+                value={route.description}
+                onChange={(e) => setRoute(idx, 'description', e.target.value)}
+              />
+            )}
+          </div>
+        ))}
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => onChange('routes', [...routes, createRoute(routes.length + 1)])}
+          style={{ display: 'flex', gap: '4px', alignItems: 'center' }}
+        >
+          <Plus size={12} /> Add route
+        </button>
+        <FieldError message={errors.routes} />
+        <div className="config-hint">Unmatched queries leave through the Otherwise handle.</div>
+      </div>
+    </>
+  );
+};
+
+export default RouterSettings;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { estimateCost, formatCost, formatMs, totalTokens } from '../utils/runMetrics';
+
+// --- Run Metrics Line --- //
+// Latency, tokens and estimated cost under an AI message. Hover for the
+// per-step and per-LLM breakdown.
+const RunMetrics = ({ metrics, models }) => {
+  if (!metrics) return null;
+  const tokens = totalTokens(metrics.usage);
+  const cost = estimateCost(metrics.usage, models);
+  const details = [
+    ...metrics.steps.map((s) => `${s.label}: ${formatMs(s.ms)}`),
+    ...metrics.usage.map((u) => `${u.label} (${u.model}): ${u.promptTokens} in / ${u.completionTokens} out`),
+    ...(metrics.estimated ? ['Token counts estimated - the backend reported no usage'] : [])
+  ];
+
+  return (
+    <div className="message-meta run-metrics" title={details.join('\n')}>
+      <span>TTFT {formatMs(metrics.ttftMs)}</span>
+      <span>{formatMs(metrics.totalMs)} total</span>
+      <span>
+        {metrics.estimated ? '~' : ''}{tokens.prompt} → {tokens.completion} tokens
+      </span>
+      <span>{formatCost(cost)}</span>
+    </div>
+  );
+};
+
+export default RunMetrics;
@@ -0,0 +1,62 @@
+import React from 'react';
+import FieldError from './FieldError';
+import NumberField from './NumberField';
+
+// --- Generated Config Form --- //
+// Renders the `fields` declared by a node type definition. Supported field
+// types: number, text, textarea, select (`options: { value: label }`) and
+// checkbox. `default` is shown when the node has no value yet.
+const SchemaFields = ({ fields, data, errors, onChange }) => fields.map((field) => {
+  const { key } = field;
+  const value = data[key] === undefined ? field.default : data[key];
+
+  if (field.type === 'number') {
+    return <NumberField key={key} name={key} field={field} data={data} error={errors[key]} onChange={onChange} />;
+  }
+
+  if (field.type === 'checkbox') {
+    return (
+      <div className="config-section" key={key}>
+        <label style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '13px' }}>
+          <input type="checkbox" checked={!!value} onChange={(e) => onChange(key, e.target.checked)} />
+          {field.label}
+        </label>
+        <FieldError message={errors[key]} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="config-section" key={key}>
+      <span className="config-label">
+        {field.label} {field.hint && <span className="config-hint">{field.hint}</span>}
+      </span>
+      {field.type === 'select' && (
+        <select className="config-select" value={value || ''} onChange={(e) => onChange(key, e.target.value)}>
+          {Object.entries(field.options).map(([optionValue, label]) => (
+            <option key={optionValue} value={optionValue}>{label}</option>
+          ))}
+        </select>
+      )}
+      {field.type === 'textarea' && (
+        <textarea
+          className={`config-textarea ${errors[key] ? 'invalid' : ''}`}
+          placeholder={field.placeholder}
+          value={value || ''}
+          onChange={(e) => onChange(key, e.target.value)}
+        />
+      )}
+      {field.type === 'text' && (
+        <input
+          className={`config-input ${errors[key] ? 'invalid' : ''}`}
+          placeholder={field.placeholder}
+          value={value || ''}
+          onChange={(e) => onChange(key, e.target.value)}
+        />
+      )}
+      <FieldError message={errors[key]} />
+    </div>
+  );
+});
+
+export default SchemaFields;
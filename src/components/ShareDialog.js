@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { X, ExternalLink, AlertTriangle } from 'lucide-react';
+import { CopyButton } from './MarkdownMessage';
+import { fetchWorkflow } from '../utils/workflowStorage';
+import {
+  SHARE_THEMES,
+  WIDGET_POSITIONS,
+  DEFAULT_SHARE_OPTIONS,
+  DEFAULT_SHARE_GREETING,
+  buildShareUrl,
+  buildEmbedSnippet
+} from '../utils/sharing';
+
+// --- Share Dialog --- //
+// Publishes the saved workflow as a chat page link and an embeddable widget
+// snippet. Options are part of the link, so there is nothing to save here.
+// Visitors load the stack from the backend's `/workflows`, so a stack that is
+// only saved in this browser gets a warning instead of working links.
+const ShareDialog = ({ workflowId, onClose }) => {
+  const [workflow, setWorkflow] = useState(null);
+  const [synced, setSynced] = useState(null);
+  const [options, setOptions] = useState(DEFAULT_SHARE_OPTIONS);
+
+  useEffect(() => {
+    fetchWorkflow(workflowId)
+      .then((result) => {
+        setWorkflow(result.workflow);
+        setSynced(result.synced);
+      })
+      .catch((error) => console.error('Load workflow error:', error));
+  }, [workflowId]);
+
+  const setOption = (key, value) => setOptions((prev) => ({ ...prev, [key]: value }));
+  const shareUrl = buildShareUrl(workflowId, options);
+  const snippet = buildEmbedSnippet(workflowId, options);
+
+  return (
+    <div className="chat-overlay">
+      <div className="library-box share-box">
+        <div className="chat-header">
+          <span>Share "{workflow?.name || 'Stack'}"</span>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="settings-body">
+          {synced === false && (
+            <div className="share-warning">
+              <AlertTriangle size={16} />
+              <span>
+                This stack is only saved in this browser, so the link and widget only work here. Connect a
+                backend that stores workflows in Settings and save the stack again to publish it.
+              </span>
+            </div>
+          )}
+
+          <div className="share-options">
+            <div className="config-section">
+              <span className="config-label">Version</span>
+              <select
+                className="config-select"
+                value={options.version || ''}
+                onChange={(e) => setOption('version', Number(e.target.value) || null)}
+              >
+                <option value="">Always the latest</option>
+                {[...(workflow?.versions || [])].reverse().map((v) => (
+                  <option key={v.version} value={v.version}>v{v.version}</option>
+                ))}
+              </select>
+            </div>
+            <div className="config-section">
+              <span className="config-label">Theme</span>
+              <div className="filter-row">
+                <select
+                  className="config-select"
+                  value={options.theme}
+                  onChange={(e) => setOption('theme', e.target.value)}
+                >
+                  {Object.entries(SHARE_THEMES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="color"
+                  title="Accent colour"
+                  value={options.accent}
+                  onChange={(e) => setOption('accent', e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="config-section">
+              <span className="config-label">Title</span>
+              <input
+                className="config-input"
+                value={options.title}
+                placeholder={workflow?.name || 'Stack name'}
+                onChange={(e) => setOption('title', e.target.value)}
+              />
+            </div>
+            <div className="config-section">
+              <span className="config-label">Widget Position</span>
+              <select
+                className="config-select"
+                value={options.position}
+                onChange={(e) => setOption('position', e.target.value)}
+              >
+                {Object.entries(WIDGET_POSITIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="config-section">
+            <span className="config-label">Greeting</span>
+            <input
+              className="config-input"
+              value={options.greeting}
+              placeholder={DEFAULT_SHARE_GREETING}
+              onChange={(e) => setOption('greeting', e.target.value)}
+            />
+          </div>
+
+          <div className="config-section">
+            <label style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '13px' }}>
+              <input
+                type="checkbox"
+                checked={options.readOnly}
+                onChange={(e) => setOption('readOnly', e.target.checked)}
+              />
+              Read-only
+              <span className="config-hint">(nothing kept in visitors' browsers, execution trace hidden)</span>
+            </label>
+          </div>
+
+          <div className="config-section">
+            <span className="config-label">Chat Page Link</span>
+            <div className="share-output">
+              <input className="config-input" value={shareUrl} readOnly onFocus={(e) => e.target.select()} />
+              <CopyButton text={shareUrl} title="Copy link" />
+              <a className="icon-btn" href={shareUrl} target="_blank" rel="noreferrer" title="Open page">
+                <ExternalLink size={14} />
+              </a>
+            </div>
+          </div>
+
+          <div className="config-section">
+            <span className="config-label">
+              Embed Widget <span className="config-hint">(paste before &lt;/body&gt;)</span>
+            </span>
+            <div className="share-output">
+              <textarea
+                className="config-textarea"
+                rows={7}
+                value={snippet}
+                readOnly
+                onFocus={(e) => e.target.select()}
+              />
+              <CopyButton text={snippet} title="Copy snippet" />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
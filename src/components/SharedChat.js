@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { X, RotateCcw } from 'lucide-react';
+import ChatPanel from './ChatPanel';
+import useStackChat from '../hooks/useStackChat';
+import { loadWorkflow } from '../utils/workflowStorage';
+import { validateGraph, hasErrors } from '../utils/workflowValidation';
+import { listSessions, createSession, updateSession } from '../utils/chatSessions';
+import { DEFAULT_SHARE_GREETING, sharedSessionKey } from '../utils/sharing';
+import '../App.css';
+
+const greetingFor = (options) => ({ role: 'ai', content: options.greeting || DEFAULT_SHARE_GREETING });
+
+// --- Published Chat Page --- //
+// Standalone chat with a saved workflow, opened from a share link or inside
+// the embed widget's iframe (see utils/sharing). Visitors never see the
+// canvas; the stack is only loaded to run it.
+const SharedChat = ({ options }) => {
+  const [stack, setStack] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [chatHistory, setChatHistory] = useState(() => [greetingFor(options)]);
+  const [sessionId, setSessionId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const { send, stop, isStreaming } = useStackChat({ setChatHistory });
+
+  useEffect(() => {
+    loadWorkflow(options.workflowId)
+      .then((workflow) => {
+        const version = options.version
+          ? workflow.versions.find((v) => v.version === options.version)
+          : workflow.versions[workflow.versions.length - 1];
+        if (!version) throw new Error(`Version ${options.version} of this stack no longer exists`);
+        setStack({ name: workflow.name, nodes: version.nodes, edges: version.edges });
+        document.title = options.title || workflow.name;
+      })
+      .catch((error) => {
+        console.error('Shared stack load error:', error);
+        setLoadError(error.message === 'Workflow not found'
+          ? 'This stack is not published here, or it has been deleted.'
+          : error.message);
+      });
+  }, [options.workflowId, options.version, options.title]);
+
+  // Visitors' conversations are kept in their browser unless read-only
+  useEffect(() => {
+    if (options.readOnly) return;
+    const key = sharedSessionKey(options.workflowId);
+    const session = listSessions(key).pop() || createSession(key, 'Conversation', [greetingFor(options)]);
+    setSessionId(session.id);
+    setChatHistory(session.messages);
+  }, [options]);
+
+  useEffect(() => {
+    if (!sessionId || chatHistory.some((m) => m.isStreaming)) return;
+    updateSession(sessionId, { messages: chatHistory });
+  }, [chatHistory, sessionId]);
+
+  const handleSend = (userQuery) => {
+    if (!stack) return false;
+    if (hasErrors(validateGraph(stack.nodes, stack.edges))) {
+      setChatHistory((prev) => [...prev, {
+        role: 'ai',
+        content: 'Error: This stack has configuration errors. Ask its owner to fix and republish it.',
+        isError: true
+      }]);
+      return true;
+    }
+    setIsLoading(true);
+    send({ nodes: stack.nodes, edges: stack.edges, chatHistory, userQuery }).finally(() => setIsLoading(false));
+    return true;
+  };
+
+  const handleRestart = () => {
+    if (!window.confirm('Start a new conversation?')) return;
+    setChatHistory([greetingFor(options)]);
+  };
+
+  const closeWidget = () => window.parent.postMessage({ type: 'genai-stack:close' }, '*');
+
+  return (
+    <div
+      className={`shared-chat theme-${options.theme} ${options.embed ? 'embedded' : ''}`}
+      style={{ '--accent': options.accent }}
+    >
+      <div className="chat-box">
+        <div className="chat-header">
+          <span>{options.title || stack?.name || 'Chat'}</span>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <button
+              className="icon-btn"
+              onClick={handleRestart}
+              disabled={isLoading || chatHistory.length < 2}
+              title="New conversation"
+            >
+              <RotateCcw size={14} />
+            </button>
+            {options.embed && (
+              <button className="icon-btn" onClick={closeWidget} title="Close">
+                <X size={16} />
+              </button>
+            )}
+          </div>
+        </div>
+        {loadError ? (
+          <div className="chat-history">
+            <div className="message ai">{loadError}</div>
+          </div>
+        ) : (
+          <ChatPanel
+            messages={chatHistory}
+            isLoading={isLoading || !stack}
+            isStreaming={isStreaming}
+            onSend={handleSend}
+            onStop={stop}
+            showTrace={!options.readOnly}
+            showMetrics={false}
+            placeholder="Ask a question..."
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedChat;
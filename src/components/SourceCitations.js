@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { FileText, ChevronDown, ChevronRight } from 'lucide-react';
+
+// --- Source Citations --- //
+// Numbered list of retrieved chunks under an AI message. Each entry expands to
+// show the chunk text so reviewers can check the answer against the source.
+const SourceCitations = ({ sources }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+  if (!sources || !sources.length) return null;
+
+  return (
+    <div className="citations">
+      <div className="citations-title">Sources</div>
+      <ol>
+        {sources.map((source, idx) => (
+          <li key={idx} className={openIndex === idx ? 'open' : ''}>
+            <button
+              type="button"
+              className="citation-header"
+              onClick={() => setOpenIndex(openIndex === idx ? null : idx)}
+            >
+              {openIndex === idx ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+              <span className="citation-number">[{idx + 1}]</span>
+              <FileText size={12} />
+              <span className="citation-file">{source.filename}</span>
+              {source.chunkIndex !== null && <span className="citation-chunk">#{source.chunkIndex}</span>}
+              {source.score !== null && (
+                <span className="citation-score" title="Relevance score">
+                  {source.score.toFixed(2)}
+                </span>
+              )}
+            </button>
+            {openIndex === idx && (
+              <blockquote className="citation-text">{source.text || 'No chunk text returned.'}</blockquote>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default SourceCitations;
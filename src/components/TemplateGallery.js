@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Trash2, BookmarkPlus, ChevronRight } from 'lucide-react';
+import { getNodeType } from '../nodes';
+import { STARTER_TEMPLATES } from '../utils/starterTemplates';
+import { listTemplates, saveTemplate, deleteTemplate } from '../utils/workflowStorage';
+
+// Node icons of a template, left to right, for the card preview
+const TemplatePreview = ({ nodes }) => (
+  <div className="template-preview">
+    {[...nodes]
+      .sort((a, b) => a.position.x - b.position.x)
+      .map((n, idx) => {
+        const definition = getNodeType(n.type);
+        if (!definition) return null;
+        const Icon = definition.icon;
+        return (
+          <React.Fragment key={n.id}>
+            {idx > 0 && <ChevronRight size={12} color="#9ca3af" />}
+            <span className="template-preview-icon" style={{ background: definition.color }} title={definition.label}>
+              <Icon size={12} />
+            </span>
+          </React.Fragment>
+        );
+      })}
+  </div>
+);
+
+// --- Template Gallery Modal --- //
+// Starter stacks plus the team's saved templates. `onUse` receives the
+// template; `currentStack` ({ name, nodes, edges }) can be saved as a new one.
+const TemplateGallery = ({ currentStack, onUse, onClose, showToast }) => {
+  const [teamTemplates, setTeamTemplates] = useState([]);
+  const [isShared, setIsShared] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const { templates, shared } = await listTemplates();
+      setTeamTemplates(templates);
+      setIsShared(shared);
+    } catch (error) {
+      console.error('List templates error:', error);
+      showToast(error.message || 'Could not load team templates');
+    }
+    setIsLoading(false);
+  }, [showToast]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleSaveCurrent = async () => {
+    if (!currentStack.nodes.length) {
+      showToast('Add some components before saving a template');
+      return;
+    }
+    const name = window.prompt('Template name', currentStack.name);
+    if (!name) return;
+    const description = window.prompt('Short description (optional)', '') || '';
+    try {
+      const { shared } = await saveTemplate({ name, description, nodes: currentStack.nodes, edges: currentStack.edges });
+      showToast(`Saved template "${name}"${shared ? '' : ' (this browser only)'}`, 'success');
+      refresh();
+    } catch (error) {
+      showToast(error.message || 'Could not save template');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete template "${template.name}"?`)) return;
+    try {
+      await deleteTemplate(template.id);
+      refresh();
+    } catch (error) {
+      showToast(error.message || 'Delete failed');
+    }
+  };
+
+  return (
+    <div className="chat-overlay">
+      <div className="library-box template-box">
+        <div className="chat-header">
+          <span>Start from a Template</span>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+        <div className="library-list">
+          <h4 className="template-heading">Starter templates</h4>
+          <div className="template-grid">
+            {STARTER_TEMPLATES.map((template) => (
+              <button key={template.id} className="template-card" onClick={() => onUse(template)}>
+                <div style={{ fontWeight: 600 }}>{template.name}</div>
+                <div className="template-description">{template.description}</div>
+                <TemplatePreview nodes={template.nodes} />
+              </button>
+            ))}
+          </div>
+
+          <div className="template-heading-row">
+            <h4 className="template-heading">
+              Team templates{!isLoading && !isShared && <span className="config-hint"> (this browser only)</span>}
+            </h4>
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={handleSaveCurrent}
+              style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+            >
+              <BookmarkPlus size={14} /> Save current as template
+            </button>
+          </div>
+          {isLoading && <p className="library-empty">Loading...</p>}
+          {!isLoading && teamTemplates.length === 0 && (
+            <p className="library-empty">No team templates yet.</p>
+          )}
+          {!isLoading && teamTemplates.map((template) => (
+            <div key={template.id} className="library-item">
+              <div className="library-row">
+                <div>
+                  <div style={{ fontWeight: 600 }}>{template.name}</div>
+                  {template.description && <div className="template-description">{template.description}</div>}
+                  <TemplatePreview nodes={template.nodes} />
+                </div>
+                <div className="library-actions">
+                  <button className="btn btn-secondary btn-small" onClick={() => onUse(template)}>
+                    Use
+                  </button>
+                  <button className="icon-btn" title="Delete" onClick={() => handleDelete(template)}>
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateGallery;
@@ -0,0 +1,129 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import FieldError from './FieldError';
+import NumberField from './NumberField';
+import {
+  HTTP_METHODS,
+  TOOL_FIELDS,
+  methodHasBody,
+  validateToolCallSettings
+} from '../utils/toolCallSettings';
+
+// --- HTTP Tool Call Settings --- //
+const ToolCallSettings = ({ data, onChange }) => {
+  const errors = validateToolCallSettings(data);
+  const headers = data.headers || [];
+  const method = data.method || 'GET';
+
+  const setHeader = (idx, field, value) => {
+    onChange('headers', headers.map((h, i) => (i === idx ? { ...h, [field]: value } : h)));
+  };
+
+  return (
+    <>
+      <div className="config-section">
+        <span className="config-label">Tool Name <span className="config-hint">(optional)</span></span>
+        <input
+          className={`config-input ${errors.toolName ? 'invalid' : ''}`}
+          placeholder="get_weather"
+          value={data.toolName || ''}
+          onChange={(e) => onChange('toolName', e.target.value)}
+        />
+        <FieldError message={errors.toolName} />
+        <textarea
+          className="config-textarea"
+          style={{ minHeight: '50px' }}
+          placeholder="What this tool does (shown to LLMs that can call it)"
+          value={data.toolDescription || ''}
+          onChange={(e) => onChange('toolDescription', e.target.value)}
+        />
+      </div>
+
+      <div className="config-section">
+        <span className="config-label">Request</span>
+        <div className="filter-row">
+          <select
+            className="config-select"
+            style={{ width: '90px', flexShrink: 0 }}
+            value={method}
+            onChange={(e) => onChange('method', e.target.value)}
+          >
+            {HTTP_METHODS.map((m) => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <input
+            className={`config-input ${errors.url ? 'invalid' : ''}`}
+            placeholder="https://api.example.com/search?q={{query}}"
+            value={data.url || ''}
+            onChange={(e) => onChange('url', e.target.value)}
+          />
+        </div>
+        <FieldError message={errors.url} />
+      </div>
+
+      <div className="config-section">
+        <span className="config-label">Headers</span>
+        {headers.map((header, idx) => (
+          <div className="filter-row" key={idx}>
+            <input
+              className="config-input"
+              placeholder="Header"
+              value={header.key}
+              onChange={(e) => setHeader(idx, 'key', e.target.value)}
+            />
+            <input
+              className="config-input"
+              placeholder="value"
+              value={header.value}
+              onChange={(e) => setHeader(idx, 'value', e.target.value)}
+            />
+            <button
+              className="icon-btn"
+              title="Remove header"
+              onClick={() => onChange('headers', headers.filter((_, i) => i !== idx))}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => onChange('headers', [...headers, { key: '', value: '' }])}
+          style={{ display: 'flex', gap: '4px', alignItems: 'center' }}
+        >
+          <Plus size={12} /> Add header
+        </button>
+        <FieldError message={errors.headers} />
+      </div>
+
+      {methodHasBody(method) && (
+        <div className="config-section">
+          <span className="config-label">Body Template</span>
+          <textarea
+            className="config-textarea code"
+            placeholder={'{\n  "question": "{{query}}"\n}'}
+            value={data.bodyTemplate || ''}
+            onChange={(e) => onChange('bodyTemplate', e.target.value)}
+          />
+        </div>
+      )}
+
+      <div className="config-section">
+        <span className="config-label">
+          Response Path <span className="config-hint">(optional, e.g. data.items.0.title)</span>
+        </span>
+        <input
+          className="config-input"
+          placeholder="Whole response body"
+          value={data.responsePath || ''}
+          onChange={(e) => onChange('responsePath', e.target.value)}
+        />
+      </div>
+
+      {Object.entries(TOOL_FIELDS).map(([key, field]) => (
+        <NumberField key={key} name={key} field={field} data={data} error={errors[key]} onChange={onChange} />
+      ))}
+    </>
+  );
+};
+
+export default ToolCallSettings;
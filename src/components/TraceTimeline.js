@@ -0,0 +1,49 @@
+import React from 'react';
+import { Loader2, CheckCircle, XCircle } from 'lucide-react';
+
+const STATE_ICONS = {
+  running: <Loader2 size={12} className="spin" />,
+  completed: <CheckCircle size={12} />,
+  failed: <XCircle size={12} />
+};
+
+const formatDuration = (step) => {
+  if (!step.endedAt) return '...';
+  const ms = step.endedAt - step.startedAt;
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
+};
+
+// --- Execution Trace Timeline --- //
+// Collapsible per-message list of the steps a run went through.
+const TraceTimeline = ({ steps, onFocusNode }) => {
+  if (!steps || !steps.length) return null;
+  const total = steps.reduce((sum, s) => sum + (s.endedAt ? s.endedAt - s.startedAt : 0), 0);
+
+  return (
+    <details className="trace-timeline">
+      <summary>
+        Trace · {steps.length} step(s) · {total < 1000 ? `${total} ms` : `${(total / 1000).toFixed(2)} s`}
+      </summary>
+      <ol>
+        {steps.map((step, idx) => (
+          <li key={idx} className={`trace-step ${step.state}`}>
+            <div className="trace-step-header" onClick={() => onFocusNode && onFocusNode(step.nodeId)}>
+              {STATE_ICONS[step.state]}
+              <span className="trace-step-label">{step.label}</span>
+              <span className="trace-step-duration">{formatDuration(step)}</span>
+            </div>
+            {step.message && <div className="trace-step-message">{step.message}</div>}
+            {step.output && (
+              <details className="trace-step-output">
+                <summary>Intermediate output</summary>
+                <pre>{typeof step.output === 'string' ? step.output : JSON.stringify(step.output, null, 2)}</pre>
+              </details>
+            )}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+};
+
+export default TraceTimeline;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { X, AlertCircle, AlertTriangle, CheckCircle } from 'lucide-react';
+
+// --- Validation Panel --- //
+// Floating list of validation issues over the canvas. Clicking an issue calls
+// `onFocus` with it so the canvas can zoom to the affected nodes.
+const ValidationPanel = ({ issues, onFocus, onClose }) => {
+  const errorCount = issues.filter((i) => i.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  return (
+    <div className="validation-panel">
+      <div className="validation-header">
+        <span>
+          {issues.length === 0
+            ? 'No problems found'
+            : `${errorCount} error(s), ${warningCount} warning(s)`}
+        </span>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+        >
+          <X size={14} />
+        </button>
+      </div>
+      {issues.length === 0 ? (
+        <div className="validation-item ok">
+          <CheckCircle size={14} /> Workflow is ready to build
+        </div>
+      ) : (
+        <ul className="validation-list">
+          {issues.map((issue, idx) => (
+            <li
+              key={idx}
+              className={`validation-item ${issue.severity}`}
+              onClick={() => onFocus(issue)}
+              title={issue.nodeIds.length || issue.edgeIds.length ? 'Show on canvas' : undefined}
+            >
+              {issue.severity === 'error' ? <AlertCircle size={14} /> : <AlertTriangle size={14} />}
+              <span>{issue.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ValidationPanel;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, FolderOpen, History, Trash2, FilePlus } from 'lucide-react';
+import { listWorkflows, loadWorkflow, deleteWorkflow } from '../utils/workflowStorage';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+// --- Stack Library Modal --- //
+// Lists saved workflows and their version history. `onOpen` receives the
+// workflow record and the chosen version.
+const WorkflowLibrary = ({ currentWorkflowId, onOpen, onNew, onClose, showToast }) => {
+  const [workflows, setWorkflows] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setWorkflows(await listWorkflows());
+    } catch (error) {
+      console.error('List workflows error:', error);
+      showToast(error.message || 'Could not load saved stacks');
+    }
+    setIsLoading(false);
+  }, [showToast]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const toggleVersions = async (id) => {
+    if (expanded?.id === id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      setExpanded(await loadWorkflow(id));
+    } catch (error) {
+      showToast(error.message || 'Could not load workflow');
+    }
+  };
+
+  const handleOpen = async (id, versionNumber) => {
+    try {
+      const workflow = expanded?.id === id ? expanded : await loadWorkflow(id);
+      const version = versionNumber
+        ? workflow.versions.find((v) => v.version === versionNumber)
+        : workflow.versions[workflow.versions.length - 1];
+      if (!version) throw new Error('Version not found');
+      onOpen(workflow, version);
+    } catch (error) {
+      showToast(error.message || 'Could not open workflow');
+    }
+  };
+
+  const handleDelete = async (id, name) => {
+    if (!window.confirm(`Delete "${name}" and all of its versions?`)) return;
+    try {
+      await deleteWorkflow(id);
+      if (expanded?.id === id) setExpanded(null);
+      refresh();
+    } catch (error) {
+      showToast(error.message || 'Delete failed');
+    }
+  };
+
+  return (
+    <div className="chat-overlay">
+      <div className="library-box">
+        <div className="chat-header">
+          <span>Stack Library</span>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+        <div className="library-toolbar">
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={onNew}
+            style={{ display: 'flex', gap: '5px', alignItems: 'center' }}
+          >
+            <FilePlus size={14} /> New Stack
+          </button>
+        </div>
+        <div className="library-list">
+          {isLoading && <p className="library-empty">Loading...</p>}
+          {!isLoading && workflows.length === 0 && (
+            <p className="library-empty">No saved stacks yet. Use "Save" to store the current canvas.</p>
+          )}
+          {!isLoading && workflows.map((wf) => (
+            <div
+              key={wf.id}
+              className={`library-item ${wf.id === currentWorkflowId ? 'active' : ''}`}
+            >
+              <div className="library-row">
+                <div>
+                  <div style={{ fontWeight: 600 }}>{wf.name}</div>
+                  <div style={{ fontSize: '12px', color: '#666' }}>
+                    v{wf.latestVersion} · {formatDate(wf.updatedAt)}
+                  </div>
+                </div>
+                <div className="library-actions">
+                  <button className="icon-btn" title="Open latest" onClick={() => handleOpen(wf.id)}>
+                    <FolderOpen size={16} />
+                  </button>
+                  <button className="icon-btn" title="Versions" onClick={() => toggleVersions(wf.id)}>
+                    <History size={16} />
+                  </button>
+                  <button className="icon-btn" title="Delete" onClick={() => handleDelete(wf.id, wf.name)}>
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+
+              {expanded?.id === wf.id && (
+                <ul className="version-list">
+                  {[...expanded.versions].reverse().map((v) => (
+                    <li key={v.version}>
+                      <span>
+                        v{v.version} · {formatDate(v.savedAt)} · {v.nodes.length} nodes
+                      </span>
+                      <button className="btn btn-secondary btn-small" onClick={() => handleOpen(wf.id, v.version)}>
+                        Restore
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowLibrary;
@@ -0,0 +1,169 @@
+import { useCallback, useRef } from 'react';
+import {
+  checkFile,
+  getDocuments,
+  withDocumentSummary,
+  uploadDocument,
+  reindexDocument,
+  deleteDocument
+} from '../utils/documents';
+import { retrievalConfig } from '../utils/retrievalSettings';
+
+let nextDocId = 0;
+
+// Chunking settings the backend applies when indexing a document
+const uploadFields = (data) => {
+  const { chunk_size: chunkSize, chunk_overlap: chunkOverlap, splitter } = retrievalConfig(data);
+  return {
+    chunk_size: chunkSize,
+    chunk_overlap: chunkOverlap,
+    splitter,
+    embedding_model: data.embeddingModel
+  };
+};
+
+// --- Knowledge Base Uploads --- //
+// Runs uploads outside the config panel so they keep going when the panel is
+// closed. `patchNodeData(nodeId, fn)` applies `fn` to the node's data.
+const useDocumentUploads = ({ patchNodeData, showToast }) => {
+  const aborts = useRef(new Map());
+  // File objects are kept in memory so failed uploads can be retried and
+  // documents re-indexed by uploading again
+  const files = useRef(new Map());
+
+  const updateDocuments = useCallback((nodeId, fn) => {
+    patchNodeData(nodeId, (data) => withDocumentSummary(data, fn(getDocuments(data))));
+  }, [patchNodeData]);
+
+  const setDocument = useCallback((nodeId, docId, fields) => {
+    updateDocuments(nodeId, (docs) => docs.map((d) => (d.id === docId ? { ...d, ...fields } : d)));
+  }, [updateDocuments]);
+
+  // Best effort: the document is detached from the node even if the backend
+  // keeps its copy, so a failure is only reported
+  const deleteStored = useCallback((documentId, filename) => {
+    deleteDocument(documentId).catch((error) => {
+      showToast(`${filename}: could not delete the stored document - ${error.message}`, 'error', 6000);
+    });
+  }, [showToast]);
+
+  // `replaces` is the backend document a re-index upload supersedes: it is
+  // deleted only once the new upload succeeds, and kept if it fails
+  const startUpload = useCallback((node, doc, file, replaces = null) => {
+    const { promise, abort } = uploadDocument(file, {
+      fields: uploadFields(node.data),
+      onProgress: (progress) => setDocument(node.id, doc.id, {
+        progress,
+        status: progress === 100 ? 'indexing' : 'uploading'
+      })
+    });
+    aborts.current.set(doc.id, abort);
+    files.current.set(doc.id, file);
+
+    promise
+      .then((data) => {
+        setDocument(node.id, doc.id, {
+          status: 'ready',
+          progress: 100,
+          error: null,
+          documentId: data.vector_collection_id
+        });
+        if (replaces && replaces !== data.vector_collection_id) deleteStored(replaces, file.name);
+        showToast(`${file.name} uploaded and processed!`, 'success');
+      })
+      .catch((error) => {
+        if (replaces) {
+          // Fall back to the previous index
+          setDocument(node.id, doc.id, { status: 'ready', progress: 100, error: null });
+          if (error.name !== 'AbortError') {
+            console.error('Re-index upload error:', error);
+            showToast(`${file.name}: re-index failed, keeping the previous index - ${error.message}`, 'error', 6000);
+          }
+          return;
+        }
+        if (error.name === 'AbortError') {
+          updateDocuments(node.id, (docs) => docs.filter((d) => d.id !== doc.id));
+          files.current.delete(doc.id);
+          return;
+        }
+        console.error('Upload error:', error);
+        setDocument(node.id, doc.id, { status: 'failed', error: error.message });
+      })
+      .finally(() => aborts.current.delete(doc.id));
+  }, [setDocument, updateDocuments, deleteStored, showToast]);
+
+  const uploadFiles = useCallback((node, fileList) => {
+    const accepted = [];
+    const rejected = [];
+    Array.from(fileList).forEach((file) => {
+      const existing = [...getDocuments(node.data), ...accepted.map((a) => a.doc)];
+      const problem = checkFile(file, existing);
+      if (problem) {
+        rejected.push(problem);
+        return;
+      }
+      nextDocId += 1;
+      accepted.push({
+        file,
+        doc: {
+          id: `doc_${Date.now()}_${nextDocId}`,
+          filename: file.name,
+          size: file.size,
+          status: 'uploading',
+          progress: 0
+        }
+      });
+    });
+
+    if (rejected.length) showToast(rejected.join(' · '), 'error', 6000);
+    if (!accepted.length) return;
+
+    updateDocuments(node.id, (docs) => [...docs, ...accepted.map((a) => a.doc)]);
+    accepted.forEach(({ doc, file }) => startUpload(node, doc, file));
+  }, [updateDocuments, startUpload, showToast]);
+
+  const cancelUpload = useCallback((docId) => {
+    const abort = aborts.current.get(docId);
+    if (abort) abort();
+  }, []);
+
+  const removeDocument = useCallback((node, doc) => {
+    cancelUpload(doc.id);
+    if (doc.documentId) deleteStored(doc.documentId, doc.filename);
+    files.current.delete(doc.id);
+    updateDocuments(node.id, (docs) => docs.filter((d) => d.id !== doc.id));
+  }, [cancelUpload, deleteStored, updateDocuments]);
+
+  // Re-upload when we still hold the file, otherwise ask the backend to
+  // re-chunk the stored document with the node's current settings
+  const reindex = useCallback(async (node, doc) => {
+    const file = files.current.get(doc.id);
+    if (file) {
+      setDocument(node.id, doc.id, { status: 'uploading', progress: 0, error: null });
+      startUpload(node, doc, file, doc.documentId);
+      return;
+    }
+    if (!doc.documentId) {
+      showToast(`${doc.filename}: original file is no longer available - upload it again`);
+      return;
+    }
+
+    setDocument(node.id, doc.id, { status: 'indexing', error: null });
+    try {
+      const data = await reindexDocument(doc.documentId, uploadFields(node.data));
+      setDocument(node.id, doc.id, {
+        status: 'ready',
+        documentId: data.vector_collection_id || doc.documentId
+      });
+      showToast(`${doc.filename} re-indexed`, 'success');
+    } catch (error) {
+      // The previous index is still on the backend
+      setDocument(node.id, doc.id, { status: 'ready', error: null });
+      showToast(`${doc.filename}: re-index failed, keeping the previous index - ${error.message}`, 'error', 6000);
+    }
+  }, [setDocument, startUpload, showToast]);
+
+  return { uploadFiles, cancelUpload, removeDocument, reindex };
+};
+
+export default useDocumentUploads;
@@ -0,0 +1,161 @@
+import { useCallback, useRef, useState } from 'react';
+import { isAbortError } from '../utils/sseClient';
+import { createResponseReader, streamWorkflowRun } from '../utils/runStream';
+import { withoutFrames } from '../utils/canvasGroups';
+import { parseStatus, createTrace, applyStatus, finishTrace } from '../utils/executionTrace';
+import { parseSources } from '../utils/citations';
+import { resolveHistorySettings, buildHistoryWindow } from '../utils/chatHistory';
+import { parseUsage, estimateUsage, buildMetrics } from '../utils/runMetrics';
+
+// --- Stack Chat --- //
+// Sends a question through `/run_workflow` and streams the answer into the
+// conversation. Shared by the builder's chat modal and the published chat
+// page (components/SharedChat). The caller owns the messages; `send` appends
+// the question and the streamed AI reply through `setChatHistory`, with run
+// metrics (latency, tokens - see utils/runMetrics) on the reply.
+const useStackChat = ({ setChatHistory, onRetry }) => {
+  const [chatController, setChatController] = useState(null);
+  const runRef = useRef(null);
+  const [runTrace, setRunTrace] = useState(null);
+
+  const send = useCallback(async ({ nodes, edges, chatHistory, userQuery }) => {
+    const workflowNodes = withoutFrames(nodes);
+    const historySettings = resolveHistorySettings(workflowNodes);
+    const { history, turnCount, tokenCount } = buildHistoryWindow(chatHistory, historySettings);
+    const historySent = historySettings.mode === 'off' ? null : { turns: turnCount, tokens: tokenCount };
+
+    const controller = new AbortController();
+    runRef.current = controller;
+    setChatController(controller);
+    // Once cancelled, the run must not write into whatever conversation is open
+    const isCurrent = () => runRef.current === controller;
+    const write = (update) => { if (isCurrent()) setChatHistory(update); };
+    const writeTrace = (next) => { if (isCurrent()) setRunTrace(next); };
+
+    write(prev => [...prev, { role: 'user', content: userQuery, historySent }]);
+
+    try {
+      // Stream the response; the placeholder AI message is added once connected
+      const reader = createResponseReader();
+      let aiResponse = '';
+      let hasPlaceholder = false;
+      let sources = [];
+      let usage = [];
+      const startedAt = Date.now();
+      let firstTokenAt = null;
+      let trace = createTrace(workflowNodes, startedAt);
+      writeTrace(trace);
+      const updateAiMessage = (fields) => {
+        write(prev => {
+          const newHistory = [...prev];
+          const lastIdx = newHistory.length - 1;
+          if (lastIdx >= 0 && newHistory[lastIdx].role === 'ai') {
+            newHistory[lastIdx] = { role: 'ai', content: aiResponse, trace: trace.steps, sources, ...fields };
+          }
+          return newHistory;
+        });
+      };
+
+      const finishMetrics = (failed) => {
+        const reported = usage.length > 0;
+        return buildMetrics({
+          startedAt,
+          firstTokenAt,
+          endedAt: Date.now(),
+          trace,
+          usage: reported ? usage : estimateUsage({ nodes: workflowNodes, edges, userQuery, history, response: aiResponse }),
+          estimated: !reported,
+          failed
+        });
+      };
+
+      try {
+        await streamWorkflowRun({
+          nodes: workflowNodes,
+          edges,
+          userQuery,
+          history,
+          signal: controller.signal,
+          onOpen: () => {
+            if (hasPlaceholder) return;
+            hasPlaceholder = true;
+            write(prev => [...prev, { role: 'ai', content: '', isStreaming: true }]);
+          },
+          onRetry,
+          onEvent: (event) => {
+            if (reader.read(event)) {
+              // LLM response data, or the final answer when nothing streams
+              if (event.type === 'message') {
+                if (firstTokenAt === null) firstTokenAt = Date.now();
+                aiResponse = reader.streamed();
+                updateAiMessage({ isStreaming: true });
+              }
+            } else if (event.type === 'status') {
+              trace = applyStatus(trace, parseStatus(event.data, workflowNodes), workflowNodes, Date.now());
+              usage = [...usage, ...parseUsage(event.data, workflowNodes)];
+              writeTrace(trace);
+              updateAiMessage({ isStreaming: true });
+            } else if (event.type === 'usage') {
+              // Token counts of an LLM call
+              usage = [...usage, ...parseUsage(event.data, workflowNodes)];
+            } else if (event.type === 'sources') {
+              // Retrieved Knowledge Base chunks backing this answer
+              sources = [...sources, ...parseSources(event.data, workflowNodes)];
+              updateAiMessage({ isStreaming: true });
+            }
+          }
+        });
+
+        // Mark streaming as complete
+        aiResponse = reader.response();
+        trace = finishTrace(trace, workflowNodes, false, Date.now());
+        writeTrace(trace);
+        updateAiMessage({ content: aiResponse || 'No response generated.', metrics: finishMetrics(false) });
+      } catch (error) {
+        trace = finishTrace(trace, workflowNodes, true, Date.now());
+        writeTrace(trace);
+        if (isAbortError(error)) {
+          updateAiMessage({
+            content: aiResponse || 'Stopped before any response.',
+            stopped: true,
+            metrics: finishMetrics(true)
+          });
+        } else if (hasPlaceholder) {
+          // Keep what was received before the stream broke
+          updateAiMessage({
+            content: `${aiResponse}${aiResponse ? '\n\n' : ''}Error: ${error.message}`,
+            isError: true,
+            metrics: finishMetrics(true)
+          });
+        } else {
+          throw error;
+        }
+      }
+    } catch (error) {
+      console.error('Chat error:', error);
+      write(prev => [...prev, {
+        role: 'ai',
+        content: `Error: ${error.message || 'Failed to process request'}`,
+        isError: true
+      }]);
+    } finally {
+      if (isCurrent()) runRef.current = null;
+      setChatController((current) => (current === controller ? null : current));
+    }
+  }, [setChatHistory, onRetry]);
+
+  const stop = useCallback(() => runRef.current?.abort(), []);
+
+  // Abort the running request and drop its remaining updates, e.g. when the
+  // conversation it belongs to is closed
+  const cancel = useCallback(() => {
+    const controller = runRef.current;
+    runRef.current = null;
+    setChatController(null);
+    controller?.abort();
+  }, []);
+
+  return { send, stop, cancel, isStreaming: Boolean(chatController), runTrace, setRunTrace };
+};
+
+export default useStackChat;
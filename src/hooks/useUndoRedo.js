@@ -0,0 +1,89 @@
+import { useState, useCallback, useRef } from 'react';
+
+const MAX_HISTORY = 100;
+const COALESCE_MS = 1000;
+
+// --- Undo / Redo --- //
+// Snapshot-based history for the canvas. Call `takeSnapshot()` right BEFORE a
+// mutation; undo restores the last snapshot. Passing a `coalesceKey` merges
+// rapid repeated edits (e.g. typing into one config field) into one step.
+// For edits that may turn out to be no-ops (a drag that ends where it
+// started), `holdSnapshot()` captures the state and `releaseSnapshot(commit)`
+// adds it to the history only when `commit` is true.
+const useUndoRedo = ({ nodes, edges, setNodes, setEdges, onRestore }) => {
+  const past = useRef([]);
+  const future = useRef([]);
+  const lastCoalesce = useRef({ key: null, at: 0 });
+  const held = useRef(null);
+  const [, setVersion] = useState(0);
+  const bump = () => setVersion((v) => v + 1);
+
+  const push = useCallback((snapshot) => {
+    // A node delete fires node and edge removals from the same render
+    const top = past.current[past.current.length - 1];
+    if (top && top.nodes === snapshot.nodes && top.edges === snapshot.edges) return;
+
+    past.current = [...past.current, snapshot].slice(-MAX_HISTORY);
+    future.current = [];
+    bump();
+  }, []);
+
+  const takeSnapshot = useCallback((coalesceKey = null) => {
+    const now = Date.now();
+    const last = lastCoalesce.current;
+    if (coalesceKey && last.key === coalesceKey && now - last.at < COALESCE_MS) {
+      last.at = now;
+      return;
+    }
+    lastCoalesce.current = { key: coalesceKey, at: now };
+    push({ nodes, edges });
+  }, [nodes, edges, push]);
+
+  const holdSnapshot = useCallback(() => {
+    held.current = { nodes, edges };
+  }, [nodes, edges]);
+
+  const releaseSnapshot = useCallback((commit) => {
+    const snapshot = held.current;
+    held.current = null;
+    if (!snapshot || !commit) return;
+    lastCoalesce.current = { key: null, at: Date.now() };
+    push(snapshot);
+  }, [push]);
+
+  const restore = useCallback((snapshot) => {
+    lastCoalesce.current = { key: null, at: 0 };
+    setNodes(snapshot.nodes);
+    setEdges(snapshot.edges);
+    if (onRestore) onRestore(snapshot);
+    bump();
+  }, [setNodes, setEdges, onRestore]);
+
+  const undo = useCallback(() => {
+    const previous = past.current[past.current.length - 1];
+    if (!previous) return;
+    past.current = past.current.slice(0, -1);
+    future.current = [...future.current, { nodes, edges }];
+    restore(previous);
+  }, [nodes, edges, restore]);
+
+  const redo = useCallback(() => {
+    const next = future.current[future.current.length - 1];
+    if (!next) return;
+    future.current = future.current.slice(0, -1);
+    past.current = [...past.current, { nodes, edges }];
+    restore(next);
+  }, [nodes, edges, restore]);
+
+  return {
+    takeSnapshot,
+    holdSnapshot,
+    releaseSnapshot,
+    undo,
+    redo,
+    canUndo: past.current.length > 0,
+    canRedo: future.current.length > 0
+  };
+};
+
+export default useUndoRedo;
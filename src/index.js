@@ -1,10 +1,16 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import SharedChat from './components/SharedChat';
+import { parseShareParams } from './utils/sharing';
+
+// Share links (`?share=<workflow id>`) open the published chat page instead
+// of the builder
+const shareOptions = parseShareParams(window.location.search);
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {shareOptions ? <SharedChat options={shareOptions} /> : <App />}
   </React.StrictMode>
 );
@@ -0,0 +1,84 @@
+import { validateNumberFields } from '../utils/numberFields';
+import inputNode from './inputNode';
+import knowledgeNode from './knowledgeNode';
+import llmNode from './llmNode';
+import outputNode from './outputNode';
+import routerNode from './routerNode';
+import webSearchNode from './webSearchNode';
+import toolNode from './toolNode';
+import memoryNode from './memoryNode';
+
+// --- Node Type Registry --- //
+//
+// Every component on the canvas is described by one definition. The sidebar,
+// the ReactFlow node renderers, the config panel, validation and the backend
+// payload are all generated from the registry, so a new component only needs
+// a definition file registered below (or a `registerNodeType` call made
+// before the app renders).
+//
+//   {
+//     type: 'myNode',                  // ReactFlow node type, sent to the backend
+//     label: 'My Node',                // canvas / validation name
+//     sidebarLabel: 'My Component',    // optional palette text (defaults to label)
+//     description: '...',              // shown at the top of the config panel
+//     icon: LucideIcon,
+//     color: '#eef2ff',                // icon background
+//
+//     hasInput: true,                  // draw the target handle
+//     outputs: (data) => [{ id, label }], // optional labeled source handles
+//     startsFlow: false,               // may run without an incoming edge
+//     connectsTo: ['llmNode'],         // node types this one may feed
+//
+//     defaults: () => ({}),            // initial data for a dropped node
+//     fields: [{ key, label, type, ... }], // generated config form (see SchemaFields)
+//     ConfigPanel: Component,          // or a hand-written panel: ({ node, onChange, context })
+//     validate: (data, { models }) => ({ key: message }), // field errors (number fields checked by
+//                                      // default); `models` is the model catalog
+//     checks: (data) => [{ severity, message }], // node-level validation issues
+//     subtext: { key: (value, data) => text }, // canvas subtitle when `key` changes
+//
+//     serialize: (data) => ({}),       // extra backend `config` (snake_case)
+//     provides: { name: 'description' }, // prompt variables offered to downstream LLMs
+//     traceKeywords: ['...']           // match plain-text run statuses to this node
+//   }
+
+const registry = new Map();
+
+const numberFields = (fields = []) => Object.fromEntries(
+  fields.filter((f) => f.type === 'number').map((f) => [f.key, f])
+);
+
+export const registerNodeType = (definition) => {
+  if (!definition.type || !definition.label || !definition.icon) {
+    throw new Error('Node type definitions need a type, label and icon');
+  }
+  registry.set(definition.type, {
+    color: '#eff6ff',
+    hasInput: true,
+    startsFlow: false,
+    connectsTo: [],
+    defaults: () => ({}),
+    validate: (data) => validateNumberFields(data, numberFields(definition.fields)),
+    checks: () => [],
+    subtext: {},
+    serialize: () => ({}),
+    provides: {},
+    traceKeywords: [],
+    ...definition
+  });
+};
+
+[
+  inputNode,
+  knowledgeNode,
+  llmNode,
+  outputNode,
+  routerNode,
+  webSearchNode,
+  toolNode,
+  memoryNode
+].forEach(registerNodeType);
+
+export const getNodeType = (type) => registry.get(type);
+
+export const listNodeTypes = () => [...registry.values()];
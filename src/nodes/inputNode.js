@@ -0,0 +1,15 @@
+import { MessageSquare } from 'lucide-react';
+
+const inputNode = {
+  type: 'inputNode',
+  label: 'User Query',
+  description: 'This component accepts user queries and serves as the entry point for the workflow.',
+  icon: MessageSquare,
+  color: '#dbeafe',
+  startsFlow: true,
+  connectsTo: ['llmNode', 'knowledgeNode', 'routerNode', 'webSearchNode', 'toolNode'],
+  provides: { query: "The user's question" },
+  traceKeywords: ['user query', 'input', 'query received']
+};
+
+export default inputNode;
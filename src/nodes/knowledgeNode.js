@@ -0,0 +1,59 @@
+import React from 'react';
+import { Database } from 'lucide-react';
+import KnowledgeDocuments from '../components/KnowledgeDocuments';
+import RetrievalSettings from '../components/RetrievalSettings';
+import { validateRetrievalSettings, retrievalConfig } from '../utils/retrievalSettings';
+
+const KnowledgePanel = ({ node, onChange, context }) => (
+  <>
+    <div className="config-section">
+      <span className="config-label">Documents</span>
+      <KnowledgeDocuments
+        node={node}
+        onUpload={context.uploads.uploadFiles}
+        onCancel={context.uploads.cancelUpload}
+        onRemove={context.uploads.removeDocument}
+        onReindex={context.uploads.reindex}
+      />
+    </div>
+    <div className="config-section">
+      <span className="config-label">Embedding Model</span>
+      <select
+        className="config-select"
+        value={node.data.embeddingModel || 'openai'}
+        onChange={(e) => onChange('embeddingModel', e.target.value)}
+      >
+        <option value="openai">OpenAI Embeddings</option>
+        <option value="gemini">Gemini Embeddings</option>
+      </select>
+    </div>
+    <RetrievalSettings data={node.data} onChange={onChange} />
+  </>
+);
+
+const knowledgeNode = {
+  type: 'knowledgeNode',
+  label: 'Knowledge Base',
+  icon: Database,
+  color: '#d1fae5',
+  connectsTo: ['llmNode', 'routerNode'],
+  ConfigPanel: KnowledgePanel,
+  validate: validateRetrievalSettings,
+  checks: (data) => {
+    const documents = data.documents || [];
+    if (documents.some((d) => d.status === 'uploading' || d.status === 'indexing')) {
+      return [{ severity: 'error', message: 'is still processing documents' }];
+    }
+    if (!data.documentId) return [{ severity: 'error', message: 'has no processed document - upload one' }];
+    return [];
+  },
+  subtext: {
+    filename: (value) => value,
+    embeddingModel: (value) => value
+  },
+  serialize: retrievalConfig,
+  provides: { context: 'Chunks retrieved from the Knowledge Base' },
+  traceKeywords: ['knowledge', 'retriev', 'context', 'document', 'embedding', 'vector']
+};
+
+export default knowledgeNode;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Bot } from 'lucide-react';
+import LlmSettings from '../components/LlmSettings';
+import PromptTemplateEditor from '../components/PromptTemplateEditor';
+import HistorySettings from '../components/HistorySettings';
+import { DEFAULT_MODEL, validateLlmSettings, llmConfig } from '../utils/llmSettings';
+import { promptConfig } from '../utils/promptTemplates';
+import { validateHistorySettings } from '../utils/chatHistory';
+import { FALLBACK_MODELS, contextWindowFor } from '../utils/modelCatalog';
+
+const LlmPanel = ({ node, onChange, context }) => (
+  <>
+    <LlmSettings data={node.data} catalog={context.modelCatalog} onChange={onChange} />
+    <PromptTemplateEditor node={node} nodes={context.nodes} edges={context.edges} onChange={onChange} />
+    <HistorySettings data={node.data} onChange={onChange} />
+    <div className="config-section">
+      <p style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+        API Key is configured on the backend via environment variables.
+      </p>
+    </div>
+  </>
+);
+
+const llmNode = {
+  type: 'llmNode',
+  label: 'LLM Engine',
+  icon: Bot,
+  color: '#fef3c7',
+  connectsTo: ['llmNode', 'outputNode', 'routerNode', 'toolNode'],
+  ConfigPanel: LlmPanel,
+  // Max tokens is capped by the selected model's context window
+  validate: (data, { models = FALLBACK_MODELS } = {}) => ({
+    ...validateLlmSettings(data, contextWindowFor(data.model, models)),
+    ...validateHistorySettings(data)
+  }),
+  checks: (data) => [
+    ...(data.prompt !== undefined && data.prompt.length > 20000
+      ? [{ severity: 'error', message: 'system prompt is longer than 20,000 characters' }]
+      : []),
+    ...(data.model
+      ? []
+      : [{ severity: 'warning', message: `has no model selected - the default (${DEFAULT_MODEL}) will be used` }])
+  ],
+  subtext: { model: (value) => value },
+  serialize: (data) => ({ ...llmConfig(data), ...promptConfig(data) }),
+  provides: { previous_output: 'Response of an upstream LLM Engine' },
+  traceKeywords: ['llm', 'generat', 'model', 'prompt', 'groq']
+};
+
+export default llmNode;
@@ -0,0 +1,31 @@
+import { Brain } from 'lucide-react';
+import {
+  MEMORY_TYPES,
+  MEMORY_SCOPES,
+  MEMORY_FIELDS,
+  validateMemorySettings,
+  memoryConfig
+} from '../utils/memorySettings';
+
+const memoryNode = {
+  type: 'memoryNode',
+  label: 'Conversation Memory',
+  description: 'Supplies earlier turns of the conversation. Connect it to an LLM Engine and reference {{history}} in its prompt.',
+  icon: Brain,
+  color: '#fef9c3',
+  hasInput: false,
+  startsFlow: true,
+  connectsTo: ['llmNode'],
+  fields: [
+    { key: 'memoryType', label: 'Memory Type', type: 'select', options: MEMORY_TYPES, default: 'buffer' },
+    { key: 'windowSize', type: 'number', ...MEMORY_FIELDS.windowSize },
+    { key: 'memoryScope', label: 'Scope', type: 'select', options: MEMORY_SCOPES, default: 'session' }
+  ],
+  validate: validateMemorySettings,
+  subtext: { memoryType: (value) => MEMORY_TYPES[value] },
+  serialize: memoryConfig,
+  provides: { history: 'Previous conversation turns' },
+  traceKeywords: ['memory', 'history']
+};
+
+export default memoryNode;
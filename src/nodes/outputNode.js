@@ -0,0 +1,13 @@
+import { ArrowRightCircle } from 'lucide-react';
+
+const outputNode = {
+  type: 'outputNode',
+  label: 'Output',
+  sidebarLabel: 'Output Component',
+  description: 'Displays the final response to the user in the chat interface.',
+  icon: ArrowRightCircle,
+  color: '#fce7f3',
+  traceKeywords: ['output', 'final', 'complete']
+};
+
+export default outputNode;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { GitBranch } from 'lucide-react';
+import RouterSettings from '../components/RouterSettings';
+import {
+  createRoute,
+  routerOutputs,
+  validateRouterSettings,
+  routerConfig
+} from '../utils/routerSettings';
+
+const routerNode = {
+  type: 'routerNode',
+  label: 'Router',
+  description: 'Sends the query down one of several routes.',
+  icon: GitBranch,
+  color: '#ede9fe',
+  outputs: routerOutputs,
+  connectsTo: ['llmNode', 'knowledgeNode', 'webSearchNode', 'toolNode', 'outputNode'],
+  defaults: () => ({ routes: [createRoute(1), createRoute(2)] }),
+  ConfigPanel: ({ node, onChange }) => <RouterSettings data={node.data} onChange={onChange} />,
+  validate: validateRouterSettings,
+  serialize: routerConfig,
+  traceKeywords: ['rout', 'classif', 'branch']
+};
+
+export default routerNode;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Wrench } from 'lucide-react';
+import ToolCallSettings from '../components/ToolCallSettings';
+import { validateToolCallSettings, toolCallConfig } from '../utils/toolCallSettings';
+
+const toolNode = {
+  type: 'toolNode',
+  label: 'HTTP Tool',
+  description: 'Calls an HTTP endpoint and passes the response downstream.',
+  icon: Wrench,
+  color: '#f3f4f6',
+  connectsTo: ['llmNode', 'routerNode', 'outputNode'],
+  ConfigPanel: ({ node, onChange }) => <ToolCallSettings data={node.data} onChange={onChange} />,
+  validate: validateToolCallSettings,
+  subtext: {
+    url: (value) => {
+      try {
+        return new URL(value).host;
+      } catch (error) {
+        return value;
+      }
+    }
+  },
+  serialize: toolCallConfig,
+  provides: { tool_output: 'Response of an upstream HTTP Tool call' },
+  traceKeywords: ['tool', 'http', 'api call']
+};
+
+export default toolNode;
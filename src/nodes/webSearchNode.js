@@ -0,0 +1,36 @@
+import { Globe } from 'lucide-react';
+import {
+  SEARCH_PROVIDERS,
+  WEB_SEARCH_FIELDS,
+  validateWebSearchSettings,
+  webSearchConfig
+} from '../utils/webSearchSettings';
+
+const webSearchNode = {
+  type: 'webSearchNode',
+  label: 'Web Search',
+  description: 'Searches the web and passes the top results downstream.',
+  icon: Globe,
+  color: '#e0f2fe',
+  connectsTo: ['llmNode', 'routerNode'],
+  fields: [
+    { key: 'provider', label: 'Provider', type: 'select', options: SEARCH_PROVIDERS, default: 'duckduckgo' },
+    { key: 'queryTemplate', label: 'Search Query', type: 'text', placeholder: '{{query}}' },
+    { key: 'maxResults', type: 'number', ...WEB_SEARCH_FIELDS.maxResults },
+    {
+      key: 'includeDomains',
+      label: 'Limit to Domains',
+      hint: '(optional, comma separated)',
+      type: 'text',
+      placeholder: 'docs.python.org, wikipedia.org'
+    },
+    { key: 'safeSearch', label: 'Safe search', type: 'checkbox', default: true }
+  ],
+  validate: validateWebSearchSettings,
+  subtext: { provider: (value) => SEARCH_PROVIDERS[value] },
+  serialize: webSearchConfig,
+  provides: { search_results: 'Results from an upstream Web Search' },
+  traceKeywords: ['web search', 'searching the web', 'search result']
+};
+
+export default webSearchNode;
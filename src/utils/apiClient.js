@@ -0,0 +1,199 @@
+import { streamSSE, isAbortError, sleep } from './sseClient';
+import { httpError, networkError, timeoutError } from './apiErrors';
+import { isMockEnabled, mockFetch } from './mockBackend';
+
+// --- API Client --- //
+// Every backend call goes through here so they all share:
+//   - the backend URL, changeable at runtime in Settings (defaults to
+//     REACT_APP_API_URL)
+//   - the bearer token from Settings / sign-in
+//   - timeouts, retries with exponential backoff for safe requests, and
+//     readable errors (see utils/apiErrors)
+//   - the offline mock backend when mock mode is on (see utils/mockBackend)
+
+const SETTINGS_KEY = 'genai-stack.api-settings';
+export const DEFAULT_API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
+export const DEFAULT_TIMEOUT_MS = 30000;
+const RETRY_BASE_MS = 500;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// --- Settings --- //
+const DEFAULT_SETTINGS = { baseUrl: DEFAULT_API_URL, token: '' };
+
+export const getApiSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+const normalizeBaseUrl = (baseUrl) => (baseUrl || '').trim().replace(/\/+$/, '') || DEFAULT_API_URL;
+
+export const saveApiSettings = ({ baseUrl, token }) => {
+  const settings = { baseUrl: normalizeBaseUrl(baseUrl), token: (token || '').trim() };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+export const apiUrl = (path) => `${getApiSettings().baseUrl}${path}`;
+
+export const authHeaders = () => {
+  const { token } = getApiSettings();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// --- Requests --- //
+// Read per request so toggling mock mode takes effect immediately
+const transport = () => (isMockEnabled() ? mockFetch : fetch);
+
+// fetch() rejects with TypeError when the server cannot be reached
+const unreachable = (baseUrl, cause) => networkError(baseUrl, cause, { mock: isMockEnabled() });
+
+const encodeBody = (body) => {
+  if (body === undefined || body instanceof FormData || typeof body === 'string') return body;
+  return JSON.stringify(body);
+};
+
+// One attempt, aborted after `timeoutMs` or when `signal` aborts
+const attempt = async (url, { method, headers, body, timeoutMs, signal }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await transport()(url, { method, headers, body, signal: controller.signal });
+    const text = await response.text();
+    if (!response.ok) throw httpError(response.status, text);
+    if (!text) return {};
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  } catch (error) {
+    if (timedOut) throw timeoutError(timeoutMs);
+    if (isAbortError(error) || error.kind) throw error;
+    throw unreachable(getApiSettings().baseUrl, error);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+// JSON request to the backend. Resolves with the parsed body ({} when empty);
+// rejects with a normalized error. Safe methods are retried on network
+// failures, timeouts and 408/429/5xx gateway errors; pass `retries` to
+// override.
+export const apiRequest = async (path, {
+  method = 'GET',
+  body,
+  headers = {},
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = IDEMPOTENT_METHODS.includes(method) ? 2 : 0,
+  signal
+} = {}) => {
+  const init = {
+    method,
+    body: encodeBody(body),
+    headers: {
+      ...(body !== undefined && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+      ...authHeaders(),
+      ...headers
+    },
+    timeoutMs,
+    signal
+  };
+
+  for (let tries = 0; ; tries += 1) {
+    // An aborted signal never fires its listener, so check before each attempt
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+    try {
+      return await attempt(apiUrl(path), init);
+    } catch (error) {
+      if (!error.retryable || tries >= retries || signal?.aborted) throw error;
+      await sleep(RETRY_BASE_MS * 2 ** tries, signal);
+    }
+  }
+};
+
+// Server-sent event stream from the backend (see utils/sseClient). The
+// timeout only covers connecting; a stream may run as long as it needs.
+export const streamApi = async (path, { signal, timeoutMs = DEFAULT_TIMEOUT_MS, onOpen, headers = {}, ...options }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  let opened = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await streamSSE(apiUrl(path), {
+      ...options,
+      headers: { ...authHeaders(), ...headers },
+      signal: controller.signal,
+      fetchFn: transport(),
+      onOpen: (response) => {
+        clearTimeout(timer);
+        opened = true;
+        if (onOpen) onOpen(response);
+      }
+    });
+  } catch (error) {
+    if (timedOut) throw timeoutError(timeoutMs);
+    if (isAbortError(error) || error.status) throw error;
+    // A drop after connecting is reported by sseClient as "Stream interrupted"
+    if (error instanceof TypeError && !opened) throw unreachable(getApiSettings().baseUrl, error);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+// --- Sign-in & Connection Check --- //
+// Both take unsaved Settings values, so they bypass the stored settings.
+
+// OAuth2 password flow (FastAPI's OAuth2PasswordRequestForm): form-encoded
+// credentials in, `{ access_token }` out.
+export const signIn = async (baseUrl, username, password) => {
+  let response;
+  try {
+    response = await transport()(`${normalizeBaseUrl(baseUrl)}/auth/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ username, password }).toString()
+    });
+  } catch (error) {
+    throw unreachable(normalizeBaseUrl(baseUrl), error);
+  }
+  const text = await response.text();
+  if (!response.ok) throw httpError(response.status, text);
+  const token = JSON.parse(text || '{}').access_token;
+  if (!token) throw new Error('The backend did not return an access token');
+  return token;
+};
+
+// Resolves when `baseUrl` answers and accepts `token`
+export const testConnection = async ({ baseUrl, token }) => {
+  let response;
+  try {
+    response = await transport()(`${normalizeBaseUrl(baseUrl)}/models`, {
+      headers: token ? { Authorization: `Bearer ${token.trim()}` } : {}
+    });
+  } catch (error) {
+    throw unreachable(normalizeBaseUrl(baseUrl), error);
+  }
+  // Any other status means a live backend that accepted the credentials
+  if (response.status === 401 || response.status === 403) {
+    throw httpError(response.status, await response.text());
+  }
+};
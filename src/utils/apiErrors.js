@@ -0,0 +1,93 @@
+// --- API Error Normalization --- //
+// Backend failures arrive in several shapes. All of them become an Error with
+// a readable `message` plus:
+//   status     HTTP status (absent for network failures and timeouts)
+//   detail     the raw parsed body, for logging
+//   kind       'http' | 'network' | 'timeout'
+//   retryable  whether sending the same request again may succeed
+//
+// Handled bodies: FastAPI `{ detail: "..." }`, FastAPI validation errors
+// `{ detail: [{ loc, msg }] }`, `{ message }` / `{ error }`, plain text and
+// HTML error pages.
+
+const RETRYABLE_STATUS = [408, 429, 502, 503, 504];
+
+const STATUS_MESSAGES = {
+  400: 'The backend rejected the request',
+  401: 'Not signed in or the access token expired - update it in Settings',
+  403: 'This account is not allowed to do that',
+  404: 'Endpoint not found on the backend',
+  408: 'The backend timed out',
+  413: 'The request is too large for the backend',
+  429: 'Too many requests - try again in a moment',
+  500: 'The backend hit an internal error',
+  502: 'Bad gateway between you and the backend',
+  503: 'The backend is temporarily unavailable',
+  504: 'The backend took too long to respond'
+};
+
+// FastAPI/pydantic: [{ loc: ['body', 'nodes', 0, 'type'], msg: 'field required' }]
+const formatValidationErrors = (items) => items
+  .map((item) => {
+    const loc = (item.loc || []).filter((part) => part !== 'body').join('.');
+    return loc ? `${loc}: ${item.msg}` : item.msg;
+  })
+  .filter(Boolean)
+  .join('; ');
+
+const fromDetail = (detail) => {
+  if (typeof detail === 'string') return detail;
+  if (Array.isArray(detail)) return formatValidationErrors(detail);
+  if (detail && typeof detail === 'object') return detail.message || detail.msg || JSON.stringify(detail);
+  return '';
+};
+
+// Readable message for an error response body (already read as text)
+export const formatErrorBody = (text, status) => {
+  let message = '';
+  try {
+    const body = JSON.parse(text);
+    message = fromDetail(body?.detail) || fromDetail(body?.message) || fromDetail(body?.error);
+  } catch (error) {
+    // Plain text or an HTML error page from a proxy
+    message = /^\s*</.test(text) ? '' : (text || '').trim().slice(0, 300);
+  }
+  const fallback = STATUS_MESSAGES[status] || (status >= 500 ? STATUS_MESSAGES[500] : 'Request failed');
+  return message || `${fallback} (${status})`;
+};
+
+const parseDetail = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+export const httpError = (status, text) => {
+  const error = new Error(formatErrorBody(text, status));
+  error.status = status;
+  error.detail = parseDetail(text);
+  error.kind = 'http';
+  error.retryable = RETRYABLE_STATUS.includes(status);
+  return error;
+};
+
+// `mock` when the failure came from the offline mock backend (mock mode), so
+// the message does not point at a server that was never contacted
+export const networkError = (baseUrl, cause, { mock = false } = {}) => {
+  const error = new Error(mock
+    ? `The mock backend failed the request${cause?.message ? ` (${cause.message})` : ''}. Mock mode is on - ${baseUrl} was not contacted.`
+    : `Cannot reach the backend at ${baseUrl}. Check that the server is running.`);
+  error.kind = 'network';
+  error.retryable = true;
+  error.cause = cause;
+  return error;
+};
+
+export const timeoutError = (timeoutMs) => {
+  const error = new Error(`The backend did not respond within ${Math.ceil(timeoutMs / 1000)}s`);
+  error.kind = 'timeout';
+  error.retryable = true;
+  return error;
+};
@@ -0,0 +1,176 @@
+import { createNodeId } from './ids';
+
+// --- Group Frames --- //
+// Frames are labeled, collapsible boxes around workflow components. They are
+// canvas-only: members are ReactFlow child nodes (`parentNode` = frame id,
+// position relative to the frame) and everything that talks to the backend or
+// validates the graph works on `withoutFrames(nodes)`.
+
+export const FRAME_TYPE = 'groupNode';
+export const FRAME_PADDING = 24;
+export const FRAME_HEADER = 36;
+export const COLLAPSED_HEIGHT = 40;
+
+// Fallback for nodes ReactFlow has not measured yet
+export const DEFAULT_NODE_SIZE = { width: 180, height: 60 };
+
+export const isFrame = (node) => node.type === FRAME_TYPE;
+
+export const nodeSize = (node) => ({
+  width: node.width || DEFAULT_NODE_SIZE.width,
+  height: node.height || DEFAULT_NODE_SIZE.height
+});
+
+// Canvas position of every node (children are stored relative to their frame)
+export const absolutePositions = (nodes) => {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  return new Map(nodes.map((n) => {
+    const parent = n.parentNode && byId.get(n.parentNode);
+    return [n.id, parent
+      ? { x: parent.position.x + n.position.x, y: parent.position.y + n.position.y }
+      : n.position];
+  }));
+};
+
+// Workflow components only, at canvas positions and detached from frames
+export const withoutFrames = (nodes) => {
+  if (!nodes.some((n) => isFrame(n) || n.parentNode)) return nodes;
+  const positions = absolutePositions(nodes);
+  return nodes
+    .filter((n) => !isFrame(n))
+    .map(({ parentNode, extent, ...n }) => ({ ...n, position: positions.get(n.id) }));
+};
+
+const boundsOf = (members, positions) => {
+  const rects = members.map((n) => ({ ...positions.get(n.id), ...nodeSize(n) }));
+  return {
+    minX: Math.min(...rects.map((r) => r.x)),
+    minY: Math.min(...rects.map((r) => r.y)),
+    maxX: Math.max(...rects.map((r) => r.x + r.width)),
+    maxY: Math.max(...rects.map((r) => r.y + r.height))
+  };
+};
+
+const frameBox = (bounds) => ({
+  position: { x: bounds.minX - FRAME_PADDING, y: bounds.minY - FRAME_PADDING - FRAME_HEADER },
+  width: bounds.maxX - bounds.minX + FRAME_PADDING * 2,
+  height: bounds.maxY - bounds.minY + FRAME_PADDING * 2 + FRAME_HEADER
+});
+
+// Wrap the given top-level components in a new frame sized to fit them.
+// ReactFlow needs a parent before its children, so the frame goes first.
+export const groupNodes = (nodes, ids, label = 'Group') => {
+  const positions = absolutePositions(nodes);
+  const members = nodes.filter((n) => ids.includes(n.id) && !isFrame(n) && !n.parentNode);
+  if (!members.length) return nodes;
+
+  const box = frameBox(boundsOf(members, positions));
+  const frame = {
+    id: createNodeId('frame'),
+    type: FRAME_TYPE,
+    position: box.position,
+    style: { width: box.width, height: box.height },
+    data: { label, collapsed: false }
+  };
+  const memberIds = new Set(members.map((n) => n.id));
+
+  return [frame, ...nodes.map((n) => (memberIds.has(n.id)
+    ? {
+      ...n,
+      parentNode: frame.id,
+      extent: 'parent',
+      selected: false,
+      position: { x: positions.get(n.id).x - box.position.x, y: positions.get(n.id).y - box.position.y }
+    }
+    : n))];
+};
+
+// Remove a frame and put its members back on the canvas where they are
+export const ungroupFrame = (nodes, frameId) => {
+  const positions = absolutePositions(nodes);
+  return nodes
+    .filter((n) => n.id !== frameId)
+    .map((n) => {
+      if (n.parentNode !== frameId) return n;
+      const { parentNode, extent, ...rest } = n;
+      return { ...rest, position: positions.get(n.id) };
+    });
+};
+
+// Move nodes to new canvas positions, keeping framed children relative to
+// their frame, then re-fit the frames around their members.
+export const placeNodes = (nodes, positions) => {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const placed = nodes.map((n) => {
+    const target = positions.get(n.id);
+    if (!target) return n;
+    const parent = n.parentNode && byId.get(n.parentNode);
+    return {
+      ...n,
+      position: parent ? { x: target.x - parent.position.x, y: target.y - parent.position.y } : target
+    };
+  });
+  return fitFrames(placed);
+};
+
+// Resize every frame to wrap its members (collapsed frames keep their full size
+// in `style` and are only drawn shorter)
+export const fitFrames = (nodes) => {
+  const positions = absolutePositions(nodes);
+  const boxes = new Map();
+  nodes.filter(isFrame).forEach((frame) => {
+    const members = nodes.filter((n) => n.parentNode === frame.id);
+    if (members.length) boxes.set(frame.id, frameBox(boundsOf(members, positions)));
+  });
+  if (!boxes.size) return nodes;
+
+  return nodes.map((n) => {
+    if (boxes.has(n.id)) {
+      const box = boxes.get(n.id);
+      return { ...n, position: box.position, style: { ...n.style, width: box.width, height: box.height } };
+    }
+    if (boxes.has(n.parentNode)) {
+      const origin = boxes.get(n.parentNode).position;
+      const abs = positions.get(n.id);
+      return { ...n, position: { x: abs.x - origin.x, y: abs.y - origin.y } };
+    }
+    return n;
+  });
+};
+
+// What ReactFlow renders: members of collapsed frames are hidden, the frame
+// shrinks to its header, and edges to hidden members attach to the frame.
+export const collapseFrames = (nodes, edges) => {
+  const collapsed = new Set(nodes.filter((n) => isFrame(n) && n.data.collapsed).map((n) => n.id));
+  if (!collapsed.size) return { nodes, edges };
+
+  const frameOf = new Map(nodes.filter((n) => collapsed.has(n.parentNode)).map((n) => [n.id, n.parentNode]));
+  const memberCount = (frameId) => nodes.filter((n) => n.parentNode === frameId).length;
+
+  return {
+    nodes: nodes.map((n) => {
+      if (frameOf.has(n.id)) return { ...n, hidden: true };
+      if (collapsed.has(n.id)) {
+        return {
+          ...n,
+          style: { ...n.style, height: COLLAPSED_HEIGHT },
+          data: { ...n.data, hiddenCount: memberCount(n.id) }
+        };
+      }
+      return n;
+    }),
+    edges: edges.map((e) => {
+      const source = frameOf.get(e.source);
+      const target = frameOf.get(e.target);
+      if (!source && !target) return e;
+      if (source && source === target) return { ...e, hidden: true };
+      return {
+        ...e,
+        source: source || e.source,
+        target: target || e.target,
+        sourceHandle: source ? null : e.sourceHandle,
+        targetHandle: target ? null : e.targetHandle
+      };
+    })
+  };
+};
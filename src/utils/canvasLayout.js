@@ -0,0 +1,182 @@
+import { isFrame, nodeSize, absolutePositions, placeNodes } from './canvasGroups';
+
+// --- Canvas Layout --- //
+// Auto-layout, align and distribute. All maths is done in canvas coordinates;
+// `placeNodes` converts back to frame-relative positions and re-fits frames.
+
+const PREFS_KEY = 'genai-stack.canvas';
+export const GRID_SIZE = 20;
+const LAYER_GAP = 100;
+const NODE_GAP = 40;
+
+const snap = (value) => Math.round(value / GRID_SIZE) * GRID_SIZE;
+
+// Longest-path layer of each node, ignoring edges that close a cycle
+const assignLayers = (ids, edges) => {
+  const outgoing = new Map(ids.map((id) => [id, []]));
+  const hasIncoming = new Set();
+  edges.forEach((e) => {
+    outgoing.get(e.source).push(e.target);
+    hasIncoming.add(e.target);
+  });
+
+  // Depth-first order from the sources; back edges are dropped
+  const state = new Map();
+  const order = [];
+  const forward = [];
+  const visit = (id) => {
+    state.set(id, 'active');
+    outgoing.get(id).forEach((target) => {
+      if (state.get(target) === 'active') return;
+      forward.push([id, target]);
+      if (!state.has(target)) visit(target);
+    });
+    state.set(id, 'done');
+    order.push(id);
+  };
+  ids.filter((id) => !hasIncoming.has(id)).forEach((id) => !state.has(id) && visit(id));
+  ids.forEach((id) => !state.has(id) && visit(id));
+
+  const layer = new Map(ids.map((id) => [id, 0]));
+  order.reverse().forEach((id) => {
+    forward
+      .filter(([source]) => source === id)
+      .forEach(([, target]) => layer.set(target, Math.max(layer.get(target), layer.get(id) + 1)));
+  });
+  return { layer, forward };
+};
+
+// Re-order each layer by the average position of its neighbours in the
+// previous (or next) layer to reduce edge crossings
+const orderLayers = (layers, forward) => {
+  const neighbours = (id, direction) => forward
+    .filter((pair) => pair[direction === 'down' ? 1 : 0] === id)
+    .map((pair) => pair[direction === 'down' ? 0 : 1]);
+
+  const sweep = (indices, direction) => {
+    indices.forEach((i) => {
+      const reference = layers[direction === 'down' ? i - 1 : i + 1];
+      const rank = new Map(reference.map((id, idx) => [id, idx]));
+      const score = new Map(layers[i].map((id, idx) => {
+        const ranks = neighbours(id, direction).filter((n) => rank.has(n)).map((n) => rank.get(n));
+        return [id, ranks.length ? ranks.reduce((a, b) => a + b, 0) / ranks.length : idx];
+      }));
+      layers[i] = [...layers[i]].sort((a, b) => score.get(a) - score.get(b));
+    });
+  };
+
+  const down = layers.map((_, i) => i).slice(1);
+  const up = layers.map((_, i) => i).slice(0, -1).reverse();
+  for (let pass = 0; pass < 2; pass += 1) {
+    sweep(down, 'down');
+    sweep(up, 'up');
+  }
+  return layers;
+};
+
+// Left-to-right layered layout following the edges, anchored at the top-left
+// of the current drawing
+export const autoLayout = (nodes, edges) => {
+  const items = nodes.filter((n) => !isFrame(n));
+  if (!items.length) return nodes;
+
+  const positions = absolutePositions(nodes);
+  const byId = new Map(items.map((n) => [n.id, n]));
+  const links = edges.filter((e) => byId.has(e.source) && byId.has(e.target) && e.source !== e.target);
+  const { layer, forward } = assignLayers(items.map((n) => n.id), links);
+
+  // Initial order within a layer: current vertical position
+  const layers = [];
+  [...items]
+    .sort((a, b) => positions.get(a.id).y - positions.get(b.id).y)
+    .forEach((n) => {
+      const index = layer.get(n.id);
+      layers[index] = [...(layers[index] || []), n.id];
+    });
+  const ordered = orderLayers(layers.filter(Boolean), forward);
+
+  const originX = Math.min(...items.map((n) => positions.get(n.id).x));
+  const originY = Math.min(...items.map((n) => positions.get(n.id).y));
+  const columnHeight = (ids) => ids.reduce((sum, id) => sum + nodeSize(byId.get(id)).height, 0)
+    + NODE_GAP * (ids.length - 1);
+  const tallest = Math.max(...ordered.map(columnHeight));
+
+  const placed = new Map();
+  let x = originX;
+  ordered.forEach((ids) => {
+    let y = originY + (tallest - columnHeight(ids)) / 2;
+    ids.forEach((id) => {
+      placed.set(id, { x: snap(x), y: snap(y) });
+      y += nodeSize(byId.get(id)).height + NODE_GAP;
+    });
+    x += Math.max(...ids.map((id) => nodeSize(byId.get(id)).width)) + LAYER_GAP;
+  });
+
+  return placeNodes(nodes, placed);
+};
+
+const rectsOf = (nodes, ids) => {
+  const positions = absolutePositions(nodes);
+  return nodes
+    .filter((n) => ids.includes(n.id) && !isFrame(n))
+    .map((n) => ({ id: n.id, ...positions.get(n.id), ...nodeSize(n) }));
+};
+
+export const ALIGN_MODES = ['left', 'center', 'right', 'top', 'middle', 'bottom'];
+
+// Line up the selected nodes on a shared edge or centre line
+export const alignNodes = (nodes, ids, mode) => {
+  const rects = rectsOf(nodes, ids);
+  if (rects.length < 2) return nodes;
+
+  const left = Math.min(...rects.map((r) => r.x));
+  const right = Math.max(...rects.map((r) => r.x + r.width));
+  const top = Math.min(...rects.map((r) => r.y));
+  const bottom = Math.max(...rects.map((r) => r.y + r.height));
+  const place = {
+    left: (r) => ({ x: left, y: r.y }),
+    center: (r) => ({ x: (left + right) / 2 - r.width / 2, y: r.y }),
+    right: (r) => ({ x: right - r.width, y: r.y }),
+    top: (r) => ({ x: r.x, y: top }),
+    middle: (r) => ({ x: r.x, y: (top + bottom) / 2 - r.height / 2 }),
+    bottom: (r) => ({ x: r.x, y: bottom - r.height })
+  }[mode];
+
+  return placeNodes(nodes, new Map(rects.map((r) => [r.id, place(r)])));
+};
+
+// Equal spacing between the selected nodes; the outermost two stay put
+export const distributeNodes = (nodes, ids, axis) => {
+  const rects = rectsOf(nodes, ids);
+  if (rects.length < 3) return nodes;
+
+  const [pos, size] = axis === 'horizontal' ? ['x', 'width'] : ['y', 'height'];
+  const sorted = [...rects].sort((a, b) => (a[pos] + a[size] / 2) - (b[pos] + b[size] / 2));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const span = last[pos] + last[size] - first[pos];
+  const gap = (span - sorted.reduce((sum, r) => sum + r[size], 0)) / (sorted.length - 1);
+
+  const placed = new Map();
+  let cursor = first[pos];
+  sorted.forEach((r) => {
+    placed.set(r.id, { ...r, [pos]: cursor });
+    cursor += r[size] + gap;
+  });
+  return placeNodes(nodes, new Map([...placed].map(([id, r]) => [id, { x: r.x, y: r.y }])));
+};
+
+// --- Canvas Preferences --- //
+const DEFAULT_PREFS = { snapToGrid: false, showMiniMap: true };
+
+export const loadCanvasPrefs = () => {
+  try {
+    return { ...DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(PREFS_KEY)) };
+  } catch (error) {
+    return DEFAULT_PREFS;
+  }
+};
+
+export const saveCanvasPrefs = (prefs) => {
+  localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+};
@@ -0,0 +1,99 @@
+import { memoryWindow } from './memorySettings';
+import { numberValue, validateNumberFields } from './numberFields';
+
+// --- Multi-turn History Window --- //
+// Picks which previous chat turns are sent along with a new query, based on
+// the history settings of the LLM Engine nodes in the workflow.
+
+export const HISTORY_MODES = {
+  off: 'Off (stateless)',
+  turns: 'Last N turns',
+  tokens: 'Token budget'
+};
+export const DEFAULT_HISTORY_TURNS = 5;
+export const DEFAULT_HISTORY_TOKENS = 2000;
+
+// Window size per mode, stored on the LLM Engine's data
+export const HISTORY_FIELDS = {
+  historyTurns: { label: 'Turns', min: 1, max: 50, step: 1, default: DEFAULT_HISTORY_TURNS, integer: true },
+  historyTokens: { label: 'Token Budget', min: 100, max: 100000, step: 100, default: DEFAULT_HISTORY_TOKENS, integer: true }
+};
+
+export const HISTORY_MODE_FIELDS = { turns: 'historyTurns', tokens: 'historyTokens' };
+
+// Returns { fieldName: message } for the window size of the selected mode
+export const validateHistorySettings = (data) => {
+  const key = HISTORY_MODE_FIELDS[data.historyMode];
+  return key ? validateNumberFields(data, { [key]: HISTORY_FIELDS[key] }) : {};
+};
+
+// Rough estimate (~4 characters per token) - good enough for budgeting
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Resolve the widest history window requested by any LLM or Memory node
+export const resolveHistorySettings = (nodes) => {
+  const settings = [
+    ...nodes
+      .filter((n) => n.type === 'llmNode' && n.data.historyMode && n.data.historyMode !== 'off')
+      .map((n) => ({
+        mode: n.data.historyMode,
+        turns: numberValue(n.data, HISTORY_FIELDS, 'historyTurns'),
+        tokens: numberValue(n.data, HISTORY_FIELDS, 'historyTokens')
+      })),
+    ...nodes
+      .filter((n) => n.type === 'memoryNode')
+      .map((n) => ({ mode: 'turns', turns: memoryWindow(n.data) }))
+  ];
+  if (!settings.length) return { mode: 'off' };
+
+  const byTurns = settings.filter((s) => s.mode === 'turns');
+  const byTokens = settings.filter((s) => s.mode === 'tokens');
+  return byTokens.length
+    ? { mode: 'tokens', tokens: Math.max(...byTokens.map((s) => s.tokens)) }
+    : { mode: 'turns', turns: Math.max(...byTurns.map((s) => s.turns)) };
+};
+
+// Group chat messages into completed user/assistant turns, skipping the
+// greeting, failed requests, runs stopped by the user (their reply is only
+// partial) and responses that are still streaming.
+const toTurns = (messages) => {
+  const turns = [];
+  messages.forEach((msg, idx) => {
+    if (msg.role !== 'user') return;
+    const reply = messages[idx + 1];
+    if (!reply || reply.role !== 'ai' || reply.isError || reply.stopped || reply.isStreaming) return;
+    turns.push([
+      { role: 'user', content: msg.content },
+      { role: 'assistant', content: reply.content }
+    ]);
+  });
+  return turns;
+};
+
+// Returns the messages to send plus a summary for the UI indicator
+export const buildHistoryWindow = (messages, settings) => {
+  const empty = { history: [], turnCount: 0, tokenCount: 0 };
+  if (!settings || settings.mode === 'off') return empty;
+
+  const turns = toTurns(messages);
+  let selected = [];
+
+  if (settings.mode === 'turns') {
+    selected = turns.slice(-settings.turns);
+  } else {
+    let budget = settings.tokens;
+    for (let i = turns.length - 1; i >= 0; i -= 1) {
+      const cost = turns[i].reduce((sum, m) => sum + estimateTokens(m.content), 0);
+      if (cost > budget) break;
+      budget -= cost;
+      selected.unshift(turns[i]);
+    }
+  }
+
+  const history = selected.flat();
+  return {
+    history,
+    turnCount: selected.length,
+    tokenCount: history.reduce((sum, m) => sum + estimateTokens(m.content), 0)
+  };
+};
@@ -0,0 +1,115 @@
+// --- Chat Sessions --- //
+// Conversations are stored per workflow in localStorage. Unsaved canvases use
+// the DRAFT_WORKFLOW key until the stack is saved to the library.
+
+const STORAGE_KEY = 'genai-stack.chat-sessions';
+
+export const DRAFT_WORKFLOW = 'draft';
+export const GREETING = {
+  role: 'ai',
+  content: 'Hi! I am your GenAI Stack assistant. Build a flow and ask me anything.'
+};
+
+const readStore = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Corrupt chat session store, starting fresh:', error);
+    return {};
+  }
+};
+
+const writeStore = (store) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.error('Chat session save error:', error);
+  }
+};
+
+const generateId = () => `chat_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+// Streaming flags are transient and should not be restored
+const cleanMessages = (messages) => messages.map(({ isStreaming, ...msg }) => msg);
+
+export const listSessions = (workflowKey) =>
+  Object.values(readStore())
+    .filter((s) => s.workflowId === workflowKey)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+export const createSession = (workflowKey, name, messages = [GREETING]) => {
+  const now = new Date().toISOString();
+  const session = {
+    id: generateId(),
+    workflowId: workflowKey,
+    name: name || `Session ${listSessions(workflowKey).length + 1}`,
+    createdAt: now,
+    updatedAt: now,
+    messages: cleanMessages(messages)
+  };
+  const store = readStore();
+  store[session.id] = session;
+  writeStore(store);
+  return session;
+};
+
+export const updateSession = (id, changes) => {
+  const store = readStore();
+  if (!store[id]) return null;
+  store[id] = {
+    ...store[id],
+    ...changes,
+    ...(changes.messages ? { messages: cleanMessages(changes.messages) } : {}),
+    updatedAt: new Date().toISOString()
+  };
+  writeStore(store);
+  return store[id];
+};
+
+export const deleteSession = (id) => {
+  const store = readStore();
+  delete store[id];
+  writeStore(store);
+};
+
+export const forkSession = (session) =>
+  createSession(session.workflowId, `${session.name} (fork)`, session.messages);
+
+// Move draft conversations onto a workflow once it is saved for the first time
+export const reassignSessions = (fromKey, toKey) => {
+  const store = readStore();
+  Object.values(store).forEach((s) => {
+    if (s.workflowId === fromKey) s.workflowId = toKey;
+  });
+  writeStore(store);
+};
+
+// --- Transcript Export --- //
+export const sessionToJson = (session, workflowName) => JSON.stringify({
+  session: session.name,
+  workflow: workflowName,
+  workflowId: session.workflowId,
+  createdAt: session.createdAt,
+  exportedAt: new Date().toISOString(),
+  messages: session.messages
+}, null, 2);
+
+export const sessionToMarkdown = (session, workflowName) => {
+  const lines = [
+    `# ${session.name}`,
+    '',
+    `- Workflow: ${workflowName || session.workflowId}`,
+    `- Started: ${session.createdAt}`,
+    `- Exported: ${new Date().toISOString()}`,
+    ''
+  ];
+  session.messages.forEach((msg) => {
+    lines.push(`## ${msg.role === 'user' ? 'User' : 'Assistant'}`, '', msg.content, '');
+    (msg.sources || []).forEach((source, idx) => {
+      const score = source.score !== null ? ` (score ${source.score.toFixed(2)})` : '';
+      lines.push(`> [${idx + 1}] ${source.filename}${score}`);
+    });
+    if (msg.sources?.length) lines.push('');
+  });
+  return lines.join('\n');
+};
@@ -0,0 +1,43 @@
+// --- Source Citations --- //
+// Normalizes the `sources` stream event sent when a Knowledge Base retrieves
+// chunks. Accepts either an array or `{ "sources": [...] }`, where each chunk
+// looks like:
+//   { "text": "...", "score": 0.82, "filename": "handbook.pdf",
+//     "vector_collection_id": "abc", "chunk_index": 4 }
+// Alternative key names used by common retrievers are accepted as well.
+
+const pick = (obj, keys) => keys.map((k) => obj[k]).find((v) => v !== undefined && v !== null);
+
+export const parseSources = (data, nodes) => {
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch (error) {
+    return [];
+  }
+
+  const items = Array.isArray(payload) ? payload : payload?.sources || [];
+  const knowledgeNodes = nodes.filter((n) => n.type === 'knowledgeNode');
+
+  return items.filter(Boolean).map((item) => {
+    const metadata = item.metadata || {};
+    const documentId = pick(item, ['vector_collection_id', 'document_id', 'documentId'])
+      ?? pick(metadata, ['vector_collection_id', 'document_id']);
+    // Fall back to the filename stored on the Knowledge Base node
+    const owned = (n) => n.data.documentId === documentId || (n.data.documentIds || []).includes(documentId);
+    const ownerDoc = documentId && knowledgeNodes
+      .flatMap((n) => n.data.documents || [])
+      .find((d) => d.documentId === documentId);
+    const owner = knowledgeNodes.find((n) => documentId && owned(n))
+      || (knowledgeNodes.length === 1 ? knowledgeNodes[0] : null);
+    const score = Number(pick(item, ['score', 'relevance', 'similarity']) ?? pick(metadata, ['score']));
+
+    return {
+      text: String(pick(item, ['text', 'content', 'page_content', 'chunk']) || ''),
+      filename: pick(item, ['filename', 'source', 'document']) || pick(metadata, ['filename', 'source']) || ownerDoc?.filename || owner?.data.filename || 'Unknown document',
+      score: Number.isFinite(score) ? score : null,
+      chunkIndex: pick(item, ['chunk_index', 'chunkIndex']) ?? pick(metadata, ['chunk_index', 'page']) ?? null,
+      documentId: documentId || owner?.data.documentId || null
+    };
+  });
+};
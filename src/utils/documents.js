@@ -0,0 +1,132 @@
+import { apiRequest, apiUrl, authHeaders, getApiSettings } from './apiClient';
+import { httpError, networkError, timeoutError } from './apiErrors';
+import { isMockEnabled, mockUpload } from './mockBackend';
+
+// --- Knowledge Base Documents --- //
+// A Knowledge Base node keeps its attached files in `data.documents`:
+//   { id, filename, size, documentId, status, progress, error }
+// where `status` is "uploading" | "indexing" | "ready" | "failed". The legacy
+// single-document fields `documentId` / `filename` are kept in sync with the
+// first ready document so existing payloads keep working.
+
+// Uploading and (re-)indexing large files can take minutes
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+export const ACCEPTED_EXTENSIONS = ['.pdf', '.txt', '.doc', '.docx'];
+export const MAX_FILE_SIZE = 20 * 1024 * 1024;  // 20 MB
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Returns an error message, or null when the file may be uploaded
+export const checkFile = (file, existing = []) => {
+  const name = file.name.toLowerCase();
+  if (!ACCEPTED_EXTENSIONS.some((ext) => name.endsWith(ext))) {
+    return `${file.name}: unsupported type (allowed: ${ACCEPTED_EXTENSIONS.join(', ')})`;
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return `${file.name}: ${formatBytes(file.size)} exceeds the ${formatBytes(MAX_FILE_SIZE)} limit`;
+  }
+  if (file.size === 0) return `${file.name}: file is empty`;
+  if (existing.some((d) => d.filename === file.name && d.status !== 'failed')) {
+    return `${file.name}: already attached`;
+  }
+  return null;
+};
+
+// Documents of a node, upgrading nodes saved before multi-document support
+export const getDocuments = (data) => {
+  if (data.documents) return data.documents;
+  if (data.documentId) {
+    return [{ id: data.documentId, filename: data.filename, documentId: data.documentId, status: 'ready', progress: 100 }];
+  }
+  return [];
+};
+
+// Uploads cannot survive a reload; mark any left in flight as failed so they
+// can be retried instead of blocking validation forever
+export const resetInterruptedUploads = (nodes) => nodes.map((n) => {
+  if (!n.data.documents?.some((d) => d.status === 'uploading' || d.status === 'indexing')) return n;
+  const documents = n.data.documents.map((d) => (d.status === 'uploading' || d.status === 'indexing'
+    ? { ...d, status: 'failed', error: 'Upload interrupted - retry or remove' }
+    : d));
+  return { ...n, data: withDocumentSummary(n.data, documents) };
+});
+
+// Recompute the legacy fields and canvas subtext from the document list
+export const withDocumentSummary = (data, documents) => {
+  const ready = documents.filter((d) => d.status === 'ready');
+  const busy = documents.filter((d) => d.status === 'uploading' || d.status === 'indexing');
+  let subtext = 'Not Configured';
+  if (busy.length) subtext = `Uploading ${busy.length} file(s)...`;
+  else if (ready.length === 1) subtext = ready[0].filename;
+  else if (ready.length > 1) subtext = `${ready.length} documents`;
+
+  return {
+    ...data,
+    documents,
+    documentId: ready[0]?.documentId,
+    documentIds: ready.map((d) => d.documentId),
+    filename: ready.map((d) => d.filename).join(', ') || undefined,
+    subtext
+  };
+};
+
+// Upload with XMLHttpRequest so we get upload progress events (fetch has none).
+// Returns { promise, abort }.
+export const uploadDocument = (file, { onProgress, fields = {} } = {}) => {
+  if (isMockEnabled()) {
+    const upload = mockUpload(file, { onProgress });
+    const promise = upload.promise.catch((error) => {
+      throw error instanceof TypeError ? networkError(getApiSettings().baseUrl, error, { mock: true }) : error;
+    });
+    return { ...upload, promise };
+  }
+
+  const xhr = new XMLHttpRequest();
+  const promise = new Promise((resolve, reject) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) formData.append(key, value);
+    });
+
+    xhr.open('POST', apiUrl('/documents/upload'));
+    Object.entries(authHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.timeout = UPLOAD_TIMEOUT_MS;
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable && onProgress) onProgress(Math.round((event.loaded / event.total) * 100));
+    };
+    xhr.onload = () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        reject(httpError(xhr.status, xhr.responseText));
+        return;
+      }
+      try {
+        resolve(JSON.parse(xhr.responseText));
+      } catch (error) {
+        resolve({});  // Non-JSON body
+      }
+    };
+    xhr.onerror = () => reject(networkError(getApiSettings().baseUrl));
+    xhr.ontimeout = () => reject(timeoutError(UPLOAD_TIMEOUT_MS));
+    xhr.onabort = () => reject(new DOMException('Upload cancelled', 'AbortError'));
+    xhr.send(formData);
+  });
+
+  return { promise, abort: () => xhr.abort() };
+};
+
+export const reindexDocument = (documentId, settings) =>
+  apiRequest(`/documents/${encodeURIComponent(documentId)}/reindex`, {
+    method: 'POST',
+    body: settings,
+    timeoutMs: UPLOAD_TIMEOUT_MS
+  });
+
+export const deleteDocument = (documentId) =>
+  apiRequest(`/documents/${encodeURIComponent(documentId)}`, { method: 'DELETE' });
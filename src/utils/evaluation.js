@@ -0,0 +1,299 @@
+import { isAbortError } from './sseClient';
+import { createResponseReader, streamWorkflowRun } from './runStream';
+
+// --- Batch Evaluation --- //
+// A test set is a CSV file with a header row, or JSONL (one object per line):
+//
+//   question   required (also accepted: `query`, `input`)
+//   expected   expected answer (also: `expected_answer`, `answer`)
+//   check      exact | contains | keywords | regex
+//              (default: `exact` when `expected` is set, otherwise not checked)
+//   keywords   for `keywords`: words separated by `,` or `;` that must all appear
+//   pattern    for `regex`: `/.../flags` or a bare pattern (case-insensitive)
+//
+// Every case is sent to `/run_workflow` like a fresh chat message (no history).
+
+const REPORT_FORMAT = 'genai-stack-eval-report';
+
+export const MAX_CASES = 500;
+export const CONCURRENCY = { min: 1, max: 8, default: 3 };
+
+export const CHECK_TYPES = {
+  exact: 'Exact match',
+  contains: 'Contains expected',
+  keywords: 'All keywords',
+  regex: 'Regex'
+};
+
+export const SAMPLE_TEST_SET = [
+  'question,expected,check,keywords,pattern',
+  'How many vacation days do I get per year?,18 days,contains,,',
+  'Who approves expense reports?,,keywords,manager;finance,',
+  'What is the support email?,,regex,,/[\\w.]+@[\\w.]+/',
+  'Say hello,Hello!,exact,,'
+].join('\n');
+
+// --- Test Set Parsing --- //
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+};
+
+const pick = (record, keys) => {
+  const key = keys.find((k) => record[k] !== undefined && record[k] !== null && String(record[k]).trim());
+  return key ? String(record[key]).trim() : '';
+};
+
+const parsePattern = (pattern) => {
+  const literal = /^\/(.*)\/([gimsuy]*)$/s.exec(pattern);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, 'i');
+};
+
+const toCase = (record, index, where) => {
+  const question = pick(record, ['question', 'query', 'input']);
+  if (!question) throw new Error(`${where}: missing "question"`);
+
+  const expected = pick(record, ['expected', 'expected_answer', 'answer']);
+  const check = pick(record, ['check']).toLowerCase() || (expected ? 'exact' : '');
+  if (check && !CHECK_TYPES[check]) {
+    throw new Error(`${where}: unknown check "${check}" (use ${Object.keys(CHECK_TYPES).join(', ')})`);
+  }
+
+  const testCase = { id: `case_${index + 1}`, question, expected, check };
+  if (check === 'keywords') {
+    testCase.keywords = (pick(record, ['keywords']) || expected).split(/[,;]/).map((k) => k.trim()).filter(Boolean);
+    if (!testCase.keywords.length) throw new Error(`${where}: "keywords" check needs keywords`);
+  }
+  if (check === 'regex') {
+    testCase.pattern = pick(record, ['pattern']) || expected;
+    try {
+      parsePattern(testCase.pattern);
+    } catch (error) {
+      throw new Error(`${where}: invalid regex ${testCase.pattern}`);
+    }
+  }
+  if ((check === 'exact' || check === 'contains') && !expected) {
+    throw new Error(`${where}: "${check}" check needs an expected answer`);
+  }
+  return testCase;
+};
+
+// CSV or JSONL text -> test cases. Throws with the offending line on bad input.
+export const parseTestSet = (text, fileName = '') => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  const isJsonl = /\.jsonl?$/i.test(fileName) || trimmed.startsWith('{');
+  let records;
+
+  if (isJsonl) {
+    records = trimmed.split(/\r?\n/).map((line, i) => ({ line, where: `Line ${i + 1}` }))
+      .filter(({ line }) => line.trim())
+      .map(({ line, where }) => {
+        try {
+          return { record: JSON.parse(line), where };
+        } catch (error) {
+          throw new Error(`${where}: not valid JSON`);
+        }
+      });
+  } else {
+    const [header, ...rows] = parseCsv(trimmed);
+    if (!header) throw new Error('The file is empty');
+    const columns = header.map((h) => h.trim().toLowerCase());
+    records = rows.map((row, i) => ({
+      record: Object.fromEntries(columns.map((column, c) => [column, row[c]])),
+      where: `Row ${i + 2}`
+    }));
+  }
+
+  if (!records.length) throw new Error('The test set has no cases');
+  if (records.length > MAX_CASES) throw new Error(`Test sets are limited to ${MAX_CASES} cases`);
+  return records.map(({ record, where }, i) => toCase(record, i, where));
+};
+
+// --- Checks --- //
+const normalize = (text) => (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// { passed: true | false | null (not checked), detail }
+export const checkResponse = (response, testCase) => {
+  const answer = normalize(response);
+  switch (testCase.check) {
+    case 'exact':
+      return { passed: answer === normalize(testCase.expected), detail: 'Exact match' };
+    case 'contains':
+      return { passed: answer.includes(normalize(testCase.expected)), detail: 'Contains expected' };
+    case 'keywords': {
+      const missing = testCase.keywords.filter((k) => !answer.includes(normalize(k)));
+      return {
+        passed: !missing.length,
+        detail: missing.length ? `Missing: ${missing.join(', ')}` : 'All keywords found'
+      };
+    }
+    case 'regex':
+      return { passed: parsePattern(testCase.pattern).test(response || ''), detail: `Regex ${testCase.pattern}` };
+    default:
+      return { passed: null, detail: 'Not checked' };
+  }
+};
+
+// --- Running --- //
+// Send one question through the workflow and collect the streamed answer
+export const runCase = async ({ testCase, nodes, edges, signal }) => {
+  const startedAt = Date.now();
+  const reader = createResponseReader();
+
+  try {
+    await streamWorkflowRun({ nodes, edges, userQuery: testCase.question, signal, onEvent: reader.read });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return {
+      response: reader.streamed(),
+      latencyMs: Date.now() - startedAt,
+      passed: false,
+      detail: 'Request failed',
+      error: error.message
+    };
+  }
+
+  const response = reader.response();
+  return { response, latencyMs: Date.now() - startedAt, ...checkResponse(response, testCase) };
+};
+
+// Run `worker` over `jobs` with at most `concurrency` in flight
+export const runPool = async (jobs, concurrency, worker, signal) => {
+  let next = 0;
+  const runWorker = async () => {
+    while (next < jobs.length && !signal?.aborted) {
+      const job = jobs[next];
+      next += 1;
+      await worker(job);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, runWorker));
+};
+
+export const summarize = (cases, results = {}) => {
+  const done = cases.map((c) => results[c.id]).filter(Boolean);
+  const checked = done.filter((r) => r.passed !== null && !r.error);
+  const latencies = done.filter((r) => !r.error).map((r) => r.latencyMs).sort((a, b) => a - b);
+  return {
+    total: cases.length,
+    completed: done.length,
+    passed: checked.filter((r) => r.passed).length,
+    failed: checked.filter((r) => !r.passed).length,
+    errors: done.filter((r) => r.error).length,
+    avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    p95LatencyMs: latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null
+  };
+};
+
+export const passRate = (summary) => {
+  const checked = summary.passed + summary.failed + summary.errors;
+  return checked ? Math.round((summary.passed / checked) * 100) : null;
+};
+
+// --- Reports --- //
+// `runs` are [{ label, results: { caseId: result } }]
+export const buildReport = ({ testSetName, cases, runs }) => ({
+  format: REPORT_FORMAT,
+  version: 1,
+  createdAt: new Date().toISOString(),
+  testSet: testSetName,
+  runs: runs.map((run) => ({
+    label: run.label,
+    summary: summarize(cases, run.results),
+    results: cases.map((c) => ({
+      question: c.question,
+      expected: c.expected,
+      check: c.check,
+      ...(run.results[c.id] || {})
+    }))
+  }))
+});
+
+// Runs from an exported report, matched to the current cases by question
+export const parseReport = (text, cases) => {
+  let report;
+  try {
+    report = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a valid report file');
+  }
+  if (report?.format !== REPORT_FORMAT || !Array.isArray(report.runs)) {
+    throw new Error('Not an evaluation report exported from GenAI Stack');
+  }
+  // Cases the report never ran are left out
+  return report.runs.map((run) => {
+    const byQuestion = new Map((run.results || []).map((r) => [r.question, r]));
+    return {
+      label: `${run.label} (report ${new Date(report.createdAt).toLocaleDateString()})`,
+      imported: true,
+      results: Object.fromEntries(cases
+        .filter((c) => byQuestion.get(c.question)?.latencyMs !== undefined)
+        .map((c) => {
+          const { question, expected, check, ...result } = byQuestion.get(c.question);
+          return [c.id, result];
+        }))
+    };
+  });
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const passLabel = (result) => {
+  if (!result || result.latencyMs === undefined) return '';
+  if (result.error) return 'error';
+  if (result.passed === null) return 'unchecked';
+  return result.passed ? 'pass' : 'fail';
+};
+
+export const reportToCsv = (report) => {
+  const header = ['question', 'expected', 'check', ...report.runs.flatMap((run) => [
+    `${run.label} response`, `${run.label} result`, `${run.label} latency_ms`
+  ])];
+  const rows = (report.runs[0]?.results || []).map((row, i) => [
+    row.question,
+    row.expected,
+    row.check,
+    ...report.runs.flatMap((run) => {
+      const result = run.results[i];
+      return [result?.error || result?.response, passLabel(result), result?.latencyMs];
+    })
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n');
+};
@@ -0,0 +1,127 @@
+// --- Execution Plan --- //
+// Normalizes the `plan` returned by `/workflows/validate` and diffs it against
+// the previous build of the same workflow.
+//
+// Plan steps are matched to payload nodes by id. Accepted step shapes:
+//   { step, node_id, node_type, label, inputs, config, warnings }
+//   "node_123"                       (bare node id)
+// When a step has no `config` (or `resolved_config`), the config that was sent
+// for its node is shown instead. Warnings may come as top-level `warnings`
+// (strings or { message, node_id }) or per step.
+
+const BUILDS_KEY = 'genai-stack.builds';
+const MAX_STORED_BUILDS = 30;
+
+// Sent for the UI only, not used by the backend when running
+const HIDDEN_CONFIG_KEYS = ['label', 'documents', 'filename', 'subtext'];
+
+const cleanConfig = (config = {}) => Object.fromEntries(
+  Object.entries(config).filter(([key, value]) => value !== undefined && value !== null && !HIDDEN_CONFIG_KEYS.includes(key))
+);
+
+const normalizeWarning = (warning, nodeId = null) => {
+  if (typeof warning === 'string') return { message: warning, nodeId };
+  return {
+    message: warning?.message || warning?.msg || JSON.stringify(warning),
+    nodeId: warning?.node_id || warning?.nodeId || nodeId
+  };
+};
+
+// `payload` is the WorkflowRequest that was validated (utils/workflowPayload)
+export const normalizePlan = (data, payload) => {
+  const payloadNodes = new Map(payload.nodes.map((n) => [n.id, n]));
+  const rawSteps = Array.isArray(data?.plan) ? data.plan : [];
+
+  const steps = rawSteps.map((raw, index) => {
+    const step = typeof raw === 'string' ? { node_id: raw } : raw || {};
+    const nodeId = step.node_id || step.nodeId || step.id || null;
+    const node = payloadNodes.get(nodeId);
+    return {
+      step: step.step ?? index + 1,
+      nodeId,
+      nodeType: step.node_type || step.type || node?.type || 'unknown',
+      label: step.label || node?.data.label || nodeId || `Step ${index + 1}`,
+      inputs: step.inputs || [],
+      config: cleanConfig(step.config || step.resolved_config || node?.data.config),
+      fromBackend: Boolean(step.config || step.resolved_config)
+    };
+  });
+
+  const warnings = [
+    ...(Array.isArray(data?.warnings) ? data.warnings.map((w) => normalizeWarning(w)) : []),
+    ...rawSteps.flatMap((raw) => (Array.isArray(raw?.warnings)
+      ? raw.warnings.map((w) => normalizeWarning(w, raw.node_id || raw.nodeId))
+      : []))
+  ];
+
+  return { steps, warnings };
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// What changed between two normalized plans:
+//   added / removed   steps present in only one of them
+//   changed           { nodeId, label, moved: { from, to } | null, changes: [{ key, before, after }] }
+export const diffPlans = (previous, current) => {
+  if (!previous) return null;
+  const before = new Map(previous.steps.map((s) => [s.nodeId, s]));
+  const after = new Map(current.steps.map((s) => [s.nodeId, s]));
+
+  const added = current.steps.filter((s) => !before.has(s.nodeId));
+  const removed = previous.steps.filter((s) => !after.has(s.nodeId));
+  const changed = current.steps
+    .filter((s) => before.has(s.nodeId))
+    .map((s) => {
+      const old = before.get(s.nodeId);
+      const keys = [...new Set([...Object.keys(old.config), ...Object.keys(s.config)])];
+      const changes = keys
+        .filter((key) => !sameValue(old.config[key], s.config[key]))
+        .map((key) => ({ key, before: old.config[key], after: s.config[key] }));
+      if (!sameValue(old.inputs, s.inputs)) changes.push({ key: 'inputs', before: old.inputs, after: s.inputs });
+      // Position in the order, ignoring shifts caused by added/removed steps
+      const from = previous.steps.filter((p) => after.has(p.nodeId)).findIndex((p) => p.nodeId === s.nodeId);
+      const to = current.steps.filter((c) => before.has(c.nodeId)).findIndex((c) => c.nodeId === s.nodeId);
+      return {
+        nodeId: s.nodeId,
+        label: s.label,
+        moved: from !== to ? { from: old.step, to: s.step } : null,
+        changes
+      };
+    })
+    .filter((c) => c.moved || c.changes.length);
+
+  return { added, removed, changed, isEmpty: !added.length && !removed.length && !changed.length };
+};
+
+// --- Build History --- //
+// The last build of each workflow ({ plan, builtAt }), so the diff survives
+// reloads. Keyed like chat sessions: workflow id, or the draft key.
+
+const readBuilds = () => {
+  try {
+    return JSON.parse(localStorage.getItem(BUILDS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export const getLastBuild = (workflowKey) => readBuilds()[workflowKey] || null;
+
+export const saveLastBuild = (workflowKey, build) => {
+  const builds = { ...readBuilds(), [workflowKey]: build };
+  // Keep the most recently built workflows only
+  const kept = Object.entries(builds)
+    .sort(([, a], [, b]) => b.builtAt - a.builtAt)
+    .slice(0, MAX_STORED_BUILDS);
+  try {
+    localStorage.setItem(BUILDS_KEY, JSON.stringify(Object.fromEntries(kept)));
+  } catch (error) {
+    console.warn('Could not store build history:', error);
+  }
+};
+
+export const formatConfigValue = (value) => {
+  if (value === undefined) return '(unset)';
+  if (typeof value === 'string') return value.length > 120 ? `${value.slice(0, 120)}…` : value;
+  return JSON.stringify(value);
+};
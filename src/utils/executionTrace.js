@@ -0,0 +1,128 @@
+import { getNodeType } from '../nodes';
+
+// --- Execution Trace --- //
+// Turns `status` events from `/run_workflow` into per-node run states.
+//
+// Structured statuses are preferred:
+//   status: {"node_id": "node_123", "state": "running" | "completed" | "failed",
+//            "message": "...", "output": "..."}
+// Plain-text statuses ("Retrieving context from knowledge base...") are
+// matched to a node by id, label or its type's `traceKeywords`. Starting a
+// new node marks the previously running one as completed, since the backend
+// runs nodes in sequence.
+
+const STATE_ALIASES = {
+  start: 'running',
+  started: 'running',
+  running: 'running',
+  in_progress: 'running',
+  done: 'completed',
+  complete: 'completed',
+  completed: 'completed',
+  success: 'completed',
+  error: 'failed',
+  failed: 'failed'
+};
+
+const matchNode = (text, nodes) => {
+  const lower = text.toLowerCase();
+  const byId = nodes.find((n) => lower.includes(n.id.toLowerCase()));
+  if (byId) return byId;
+  const byLabel = nodes.find((n) => n.data.label && lower.includes(n.data.label.toLowerCase()));
+  if (byLabel) return byLabel;
+  return nodes.find((n) => (getNodeType(n.type)?.traceKeywords || []).some((k) => lower.includes(k)));
+};
+
+// Normalize a status event payload into { nodeId, state, message, output }
+export const parseStatus = (data, nodes) => {
+  let payload = null;
+  try {
+    payload = JSON.parse(data);
+  } catch (error) {
+    // Plain-text status
+  }
+
+  if (payload && typeof payload === 'object') {
+    const node = nodes.find((n) => n.id === (payload.node_id || payload.nodeId))
+      || (payload.node_type && nodes.find((n) => n.type === payload.node_type));
+    return {
+      nodeId: node?.id || null,
+      state: STATE_ALIASES[String(payload.state || payload.status || '').toLowerCase()] || 'running',
+      message: payload.message || '',
+      output: payload.output ?? null
+    };
+  }
+
+  const text = String(data);
+  const lower = text.toLowerCase();
+  const node = matchNode(text, nodes);
+  let state = 'running';
+  if (/\b(fail|error)/.test(lower)) state = 'failed';
+  else if (/\b(done|completed|finished)\b/.test(lower)) state = 'completed';
+  return { nodeId: node?.id || null, state, message: text, output: null };
+};
+
+export const createTrace = (nodes, now) => {
+  const input = nodes.find((n) => n.type === 'inputNode');
+  return {
+    startedAt: now,
+    steps: input
+      ? [{ nodeId: input.id, label: input.data.label || 'User Query', state: 'completed', startedAt: now, endedAt: now, message: 'Query received', output: null }]
+      : []
+  };
+};
+
+const closeStep = (step, state, now) => ({ ...step, state, endedAt: step.endedAt || now });
+
+export const applyStatus = (trace, status, nodes, now) => {
+  const steps = [...trace.steps];
+  const runningIdx = steps.findIndex((s) => s.state === 'running');
+  const running = steps[runningIdx];
+
+  // Unmatched text updates the running step's message
+  if (!status.nodeId) {
+    if (running) steps[runningIdx] = { ...running, message: status.message || running.message };
+    return { ...trace, steps };
+  }
+
+  if (running && running.nodeId === status.nodeId) {
+    steps[runningIdx] = status.state === 'running'
+      ? { ...running, message: status.message || running.message, output: status.output ?? running.output }
+      : { ...closeStep(running, status.state, now), message: status.message || running.message, output: status.output ?? running.output };
+    return { ...trace, steps };
+  }
+
+  if (running) steps[runningIdx] = closeStep(running, 'completed', now);
+
+  const node = nodes.find((n) => n.id === status.nodeId);
+  steps.push({
+    nodeId: status.nodeId,
+    label: node?.data.label || node?.type || status.nodeId,
+    state: status.state,
+    startedAt: now,
+    endedAt: status.state === 'running' ? null : now,
+    message: status.message,
+    output: status.output
+  });
+  return { ...trace, steps };
+};
+
+// Close the trace when the stream ends. On success the output node is marked
+// completed; on failure the running step is marked failed.
+export const finishTrace = (trace, nodes, failed, now) => {
+  let steps = trace.steps.map((s) => (s.state === 'running' ? closeStep(s, failed ? 'failed' : 'completed', now) : s));
+  const output = nodes.find((n) => n.type === 'outputNode');
+  if (!failed && output && !steps.some((s) => s.nodeId === output.id)) {
+    steps = [...steps, { nodeId: output.id, label: output.data.label || 'Output', state: 'completed', startedAt: now, endedAt: now, message: 'Response delivered', output: null }];
+  }
+  return { ...trace, steps, endedAt: now };
+};
+
+// Latest state per node, for canvas badges
+export const nodeStates = (trace) => {
+  const states = {};
+  (trace?.steps || []).forEach((s) => {
+    states[s.nodeId] = s.state;
+  });
+  return states;
+};
@@ -0,0 +1,10 @@
+// --- Node Ids --- //
+// Unique across rapid creation in one tab (counter) and across tabs (random),
+// e.g. `node_lq2x9k1c_1a3f`.
+let idCounter = 0;
+
+export const createNodeId = (prefix = 'node') => {
+  idCounter += 1;
+  const random = Math.random().toString(36).slice(2, 6);
+  return `${prefix}_${Date.now().toString(36)}_${idCounter.toString(36)}${random}`;
+};
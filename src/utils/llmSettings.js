@@ -0,0 +1,71 @@
+import { numberValue, validateNumberFields } from './numberFields';
+
+// --- LLM Generation Settings --- //
+// Sampling and output controls for an LLM Engine node. Stored on node data in
+// camelCase, sent in the node `config` as snake_case.
+
+export const DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+export const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant.';
+
+export const RESPONSE_FORMATS = {
+  text: 'Plain text',
+  json_object: 'JSON object',
+  json_schema: 'JSON schema (structured)'
+};
+
+export const LLM_FIELDS = {
+  temperature: { label: 'Temperature', min: 0, max: 2, step: 0.1, default: 0.7, integer: false },
+  maxTokens: { label: 'Max Tokens', min: 1, max: 32768, step: 64, default: 1024, integer: true },
+  topP: { label: 'Top P', min: 0, max: 1, step: 0.05, default: 1, integer: false }
+};
+
+export const MAX_STOP_SEQUENCES = 4;
+
+const valueOf = (data, key) => numberValue(data, LLM_FIELDS, key);
+
+// Returns { fieldName: message }. `contextWindow` (if known) caps max tokens.
+export const validateLlmSettings = (data, contextWindow) => {
+  const fields = contextWindow
+    ? { ...LLM_FIELDS, maxTokens: { ...LLM_FIELDS.maxTokens, max: Math.min(LLM_FIELDS.maxTokens.max, contextWindow) } }
+    : LLM_FIELDS;
+  const errors = validateNumberFields(data, fields);
+
+  const stops = data.stopSequences || [];
+  if (stops.length > MAX_STOP_SEQUENCES) {
+    errors.stopSequences = `At most ${MAX_STOP_SEQUENCES} stop sequences are allowed`;
+  } else if (stops.some((s) => !s)) {
+    errors.stopSequences = 'Stop sequences cannot be empty';
+  }
+
+  if (data.responseFormat === 'json_schema') {
+    try {
+      const schema = JSON.parse(data.jsonSchema || '');
+      if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error('not an object');
+    } catch (error) {
+      errors.jsonSchema = 'JSON schema must be a valid JSON object';
+    }
+  }
+
+  return errors;
+};
+
+// Resolved settings for the backend payload
+export const llmConfig = (data) => {
+  const format = data.responseFormat || 'text';
+  let responseFormat = { type: format };
+  if (format === 'json_schema') {
+    try {
+      responseFormat = { type: format, json_schema: JSON.parse(data.jsonSchema) };
+    } catch (error) {
+      // Reported by validateLlmSettings
+    }
+  }
+
+  return {
+    temperature: valueOf(data, 'temperature'),
+    max_tokens: valueOf(data, 'maxTokens'),
+    top_p: valueOf(data, 'topP'),
+    stop: data.stopSequences?.length ? data.stopSequences : undefined,
+    response_format: responseFormat
+  };
+};
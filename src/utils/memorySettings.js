@@ -0,0 +1,34 @@
+import { numberValue, validateNumberFields } from './numberFields';
+
+// --- Conversation Memory Settings --- //
+// A Memory node has no input: it supplies earlier turns of the conversation
+// to downstream LLM Engines as `{{history}}`.
+
+export const MEMORY_TYPES = {
+  buffer: 'Recent messages (buffer)',
+  summary: 'Running summary',
+  vector: 'Semantic recall'
+};
+
+export const MEMORY_SCOPES = {
+  session: 'Per chat session',
+  workflow: 'Shared across sessions'
+};
+
+export const MEMORY_FIELDS = {
+  windowSize: { label: 'Window (turns)', min: 1, max: 100, step: 1, default: 10, integer: true }
+};
+
+export const validateMemorySettings = (data) => {
+  const errors = validateNumberFields(data, MEMORY_FIELDS);
+  if (data.memoryType && !MEMORY_TYPES[data.memoryType]) errors.memoryType = 'Unknown memory type';
+  return errors;
+};
+
+export const memoryWindow = (data) => numberValue(data, MEMORY_FIELDS, 'windowSize');
+
+export const memoryConfig = (data) => ({
+  memory_type: data.memoryType || 'buffer',
+  window_size: memoryWindow(data),
+  scope: data.memoryScope || 'session'
+});
@@ -0,0 +1,285 @@
+// --- Mock Backend --- //
+// A local stand-in for the FastAPI server, used when mock mode is switched on
+// in the header (or REACT_APP_MOCK_BACKEND=true). `mockFetch` has the same
+// signature as `fetch` and the API client sends every request through it;
+// uploads go through `mockUpload` instead of XMLHttpRequest.
+//
+// Served endpoints:
+//   POST   /workflows/validate        -> { status, plan: [{ step, node_id, node_type, label, inputs, config }],
+//                                        warnings: [{ node_id, message }] }
+//   POST   /run_workflow              -> SSE: `status:` JSON per node, `event: sources`
+//                                        for Knowledge Bases, `data:` chunks and
+//                                        `event: usage` per LLM node, `final:`
+//   POST   /documents/upload          -> { vector_collection_id, filename, chunks }
+//   POST   /documents/{id}/reindex    -> { vector_collection_id }
+//   DELETE /documents/{id}            -> 204
+//   POST   /auth/token                -> { access_token }
+// Anything else answers 404, so saved stacks and the model list fall back to
+// their offline behaviour.
+//
+// `latencyMs` delays every response; `errorRate` (0-100 %) makes requests fail
+// with an HTTP 500, a network error, or a stream that breaks halfway. Uploads
+// follow the same `errorKind` and are not failed by "stream" errors.
+
+import { httpError } from './apiErrors';
+
+const SETTINGS_KEY = 'genai-stack.mock-backend';
+
+export const MOCK_ERROR_KINDS = {
+  http: 'HTTP 500 response',
+  network: 'Network failure',
+  stream: 'Stream breaks halfway'
+};
+
+export const MOCK_FIELDS = {
+  latencyMs: { label: 'Latency (ms)', min: 0, max: 10000, step: 100, default: 400 },
+  errorRate: { label: 'Error rate (%)', min: 0, max: 100, step: 5, default: 0 }
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: process.env.REACT_APP_MOCK_BACKEND === 'true',
+  latencyMs: MOCK_FIELDS.latencyMs.default,
+  errorRate: MOCK_FIELDS.errorRate.default,
+  errorKind: 'http'
+};
+
+export const getMockSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveMockSettings = (settings) => {
+  const saved = { ...getMockSettings(), ...settings };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+export const isMockEnabled = () => getMockSettings().enabled;
+
+// Documents "indexed" by the mock, kept for the session: id -> { filename, text }
+const documents = new Map();
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Latency with +/-25% jitter so concurrent requests finish out of order
+const jitter = (ms) => Math.round(ms * (0.75 + Math.random() * 0.5));
+
+const shouldFail = ({ errorRate }) => Math.random() * 100 < errorRate;
+
+const json = (body, status = 200) => new Response(status === 204 ? null : JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+const INJECTED_DETAIL = JSON.stringify({ detail: 'Injected error from the mock backend' });
+
+// Serialized payload nodes in dependency order (cycles are appended as-is)
+const executionOrder = (nodes, edges) => {
+  const incoming = new Map(nodes.map((n) => [n.id, edges.filter((e) => e.target === n.id).map((e) => e.source)]));
+  const order = [];
+  const placed = new Set();
+  while (order.length < nodes.length) {
+    const ready = nodes.filter((n) => !placed.has(n.id) && incoming.get(n.id).every((id) => placed.has(id)));
+    const batch = ready.length ? ready : nodes.filter((n) => !placed.has(n.id)).slice(0, 1);
+    batch.forEach((n) => {
+      placed.add(n.id);
+      order.push(n);
+    });
+  }
+  return order.map((n) => ({ node: n, inputs: incoming.get(n.id) }));
+};
+
+const validateWorkflow = ({ nodes = [], edges = [] }) => {
+  if (!nodes.length) return json({ detail: 'Workflow has no nodes' }, 400);
+  const plan = executionOrder(nodes, edges);
+  return json({
+    status: 'valid',
+    plan: plan.map(({ node, inputs }, i) => ({
+      step: i + 1,
+      node_id: node.id,
+      node_type: node.type,
+      label: node.data?.label || node.type,
+      inputs,
+      config: node.data?.config || {}
+    })),
+    warnings: plan
+      .filter(({ node, inputs }) => node.type !== 'inputNode' && !inputs.length)
+      .map(({ node }) => ({ node_id: node.id, message: 'Has no incoming connection and runs without context' }))
+  });
+};
+
+const STEP_MESSAGES = {
+  inputNode: 'Received user query',
+  knowledgeNode: 'Retrieving context from knowledge base',
+  llmNode: 'Generating response',
+  outputNode: 'Formatting output',
+  routerNode: 'Choosing a route',
+  webSearchNode: 'Searching the web',
+  toolNode: 'Calling tool',
+  memoryNode: 'Loading conversation memory'
+};
+
+const sourcesFor = (node, query) => {
+  const config = node.data?.config || {};
+  const ids = config.vector_collection_ids || (config.vector_collection_id ? [config.vector_collection_id] : []);
+  const words = query.toLowerCase().split(/\W+/).filter((w) => w.length > 3);
+  return ids.slice(0, 3).map((id, i) => {
+    const doc = documents.get(id);
+    const sentences = (doc?.text || '').split(/(?<=[.!?])\s+/).filter(Boolean);
+    const match = sentences.find((s) => words.some((w) => s.toLowerCase().includes(w))) || sentences[0];
+    return {
+      text: match || `Mock excerpt from ${doc?.filename || 'the document'} related to "${query}".`,
+      score: Number((0.9 - i * 0.1).toFixed(2)),
+      filename: doc?.filename,
+      vector_collection_id: id,
+      chunk_index: i
+    };
+  });
+};
+
+const mockAnswer = (query, plan) => {
+  const llm = plan.find(({ node }) => node.type === 'llmNode')?.node;
+  const model = llm?.data?.config?.model || 'default model';
+  return [
+    `**Mock response** to: "${query}"`,
+    '',
+    `This answer comes from the offline mock backend (${model}), which ran ${plan.length} step(s):`,
+    ...plan.map(({ node }, i) => `${i + 1}. ${node.data?.label || node.type}`),
+    '',
+    'Switch mock mode off in the header to talk to the real server.'
+  ].join('\n');
+};
+
+// `/run_workflow` as an SSE stream in the legacy wire format the backend uses
+const runWorkflow = (body, settings, signal) => {
+  const query = body.user_query || '';
+  const plan = executionOrder(body.nodes || [], body.edges || []);
+  const answer = mockAnswer(query, plan);
+  const chunks = answer.match(/\S+\s*/g) || [];
+  const breakAt = settings.errorKind === 'stream' && shouldFail(settings) ? Math.floor(chunks.length / 2) : -1;
+  const stepDelay = Math.max(50, settings.latencyMs / 2);
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (text) => controller.enqueue(encoder.encode(`${text}\n\n`));
+      const status = (node, state, message) => send(`status: ${JSON.stringify({ node_id: node.id, state, message })}`);
+      try {
+        for (const { node } of plan) {
+          status(node, 'running', STEP_MESSAGES[node.type] || `Running ${node.type}`);
+          await sleep(jitter(stepDelay), signal);
+          if (node.type === 'knowledgeNode') {
+            const sources = sourcesFor(node, query);
+            if (sources.length) send(`event: sources\ndata: ${JSON.stringify(sources)}`);
+          }
+          if (node.type === 'llmNode') {
+            for (let i = 0; i < chunks.length; i += 1) {
+              if (i === breakAt) throw new TypeError('Injected stream failure from the mock backend');
+              // The backend escapes newlines inside `data:` as "\n"
+              send(`data: ${chunks[i].replace(/\n/g, '\\n')}`);
+              await sleep(30, signal);
+            }
+            // Rough token counts (~4 characters per token), like utils/runMetrics
+            send(`event: usage\ndata: ${JSON.stringify({
+              node_id: node.id,
+              model: node.data?.config?.model,
+              prompt_tokens: Math.ceil(JSON.stringify(body).length / 4),
+              completion_tokens: Math.ceil(answer.length / 4)
+            })}`);
+          }
+          status(node, 'completed', 'Done');
+        }
+        if (!plan.some(({ node }) => node.type === 'llmNode')) send(`data: ${answer.replace(/\n/g, '\\n')}`);
+        send(`final: ${answer.replace(/\n+/g, ' ')}`);
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    }
+  });
+
+  return new Response(stream, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const parseBody = (body) => {
+  if (typeof body !== 'string') return {};
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return {};
+  }
+};
+
+// Drop-in replacement for `fetch` against the backend
+export const mockFetch = async (url, { method = 'GET', body, signal } = {}) => {
+  const settings = getMockSettings();
+  const path = new URL(url, 'http://localhost').pathname;
+  await sleep(jitter(settings.latencyMs), signal);
+
+  if (settings.errorKind !== 'stream' && shouldFail(settings)) {
+    if (settings.errorKind === 'network') throw new TypeError('Injected network failure from the mock backend');
+    return new Response(INJECTED_DETAIL, { status: 500, headers: { 'Content-Type': 'application/json' } });
+  }
+
+  if (method === 'POST' && path === '/workflows/validate') return validateWorkflow(parseBody(body));
+  if (method === 'POST' && path === '/run_workflow') return runWorkflow(parseBody(body), settings, signal);
+  if (method === 'POST' && path === '/auth/token') return json({ access_token: 'mock-token', token_type: 'bearer' });
+
+  const reindex = /^\/documents\/([^/]+)\/reindex$/.exec(path);
+  if (method === 'POST' && reindex) {
+    const id = decodeURIComponent(reindex[1]);
+    return documents.has(id) ? json({ vector_collection_id: id }) : json({ detail: 'Document not found' }, 404);
+  }
+  const doc = /^\/documents\/([^/]+)$/.exec(path);
+  if (method === 'DELETE' && doc) {
+    documents.delete(decodeURIComponent(doc[1]));
+    return json(null, 204);
+  }
+
+  return json({ detail: `Not available in mock mode: ${method} ${path}` }, 404);
+};
+
+// Stand-in for the XMLHttpRequest upload in utils/documents: same
+// { promise, abort } shape, with simulated progress
+export const mockUpload = (file, { onProgress } = {}) => {
+  const controller = new AbortController();
+  const settings = getMockSettings();
+  const steps = 5;
+
+  const promise = (async () => {
+    for (let i = 1; i <= steps; i += 1) {
+      await sleep(jitter(settings.latencyMs / steps), controller.signal);
+      if (onProgress) onProgress(Math.round((i / steps) * 100));
+    }
+    await sleep(jitter(settings.latencyMs), controller.signal);  // "indexing"
+    if (settings.errorKind !== 'stream' && shouldFail(settings)) {
+      // Network failures reject with TypeError, like mockFetch
+      if (settings.errorKind === 'network') throw new TypeError('Injected network failure from the mock backend');
+      throw httpError(500, INJECTED_DETAIL);
+    }
+
+    const id = `mock_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    const text = /\.txt$/i.test(file.name) ? await file.text() : '';
+    documents.set(id, { filename: file.name, text });
+    return { vector_collection_id: id, filename: file.name, chunks: Math.max(1, Math.ceil(file.size / 1000)) };
+  })();
+
+  return { promise, abort: () => controller.abort() };
+};
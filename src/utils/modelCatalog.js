@@ -0,0 +1,53 @@
+import { DEFAULT_MODEL } from './llmSettings';
+import { apiRequest } from './apiClient';
+
+// --- LLM Model Catalog --- //
+// Models offered in the LLM Engine panel come from the backend `/models`
+// endpoint. When it is unreachable we fall back to this built-in list.
+
+export const FALLBACK_MODELS = [
+  { id: DEFAULT_MODEL, name: 'Llama 3.3 70B (Recommended)', provider: 'Groq', contextWindow: 128000 },
+  { id: 'llama-3.1-8b-instant', name: 'Llama 3.1 8B Instant', provider: 'Groq', contextWindow: 128000 },
+  { id: 'mixtral-8x7b-32768', name: 'Mixtral 8x7B', provider: 'Groq', contextWindow: 32768 },
+  { id: 'gemma2-9b-it', name: 'Gemma 2 9B', provider: 'Groq', contextWindow: 8192 }
+];
+
+// Accepts `[...]`, `{ models: [...] }` or OpenAI-style `{ data: [...] }`
+const normalizeModels = (body) => {
+  const items = Array.isArray(body) ? body : body?.models || body?.data || [];
+  return items
+    .filter((m) => m && (m.id || m.name))
+    .map((m) => ({
+      id: m.id || m.name,
+      name: m.display_name || m.name || m.id,
+      provider: m.provider || m.owned_by || 'Other',
+      contextWindow: m.context_window || m.contextWindow || null,
+      // USD per million tokens: { input, output } (see utils/runMetrics)
+      pricing: m.pricing || null
+    }));
+};
+
+export const fetchModelCatalog = async () => {
+  try {
+    const models = normalizeModels(await apiRequest('/models'));
+    if (!models.length) throw new Error('Backend returned no models');
+    return { models, source: 'backend' };
+  } catch (error) {
+    // `error` tells the model picker why it shows the built-in list
+    return { models: FALLBACK_MODELS, source: 'builtin', error: error.message };
+  }
+};
+
+// Context window of `modelId` (the default model when empty), null if unknown
+export const contextWindowFor = (modelId, models) =>
+  models.find((m) => m.id === (modelId || DEFAULT_MODEL))?.contextWindow || null;
+
+export const groupByProvider = (models) => models.reduce((groups, model) => {
+  (groups[model.provider] = groups[model.provider] || []).push(model);
+  return groups;
+}, {});
+
+export const formatContextWindow = (tokens) => {
+  if (!tokens) return '';
+  return tokens >= 1000 ? `${Math.round(tokens / 1000)}k ctx` : `${tokens} ctx`;
+};
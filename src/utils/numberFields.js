@@ -0,0 +1,21 @@
+// --- Numeric Settings Fields --- //
+// Shared range checks for `{ label, min, max, step, default, integer }` field
+// definitions used by the node settings modules.
+
+export const numberValue = (data, fields, key) => (data[key] === undefined ? fields[key].default : data[key]);
+
+// Returns { fieldName: message } for every out-of-range value
+export const validateNumberFields = (data, fields) => {
+  const errors = {};
+  Object.entries(fields).forEach(([key, field]) => {
+    const value = numberValue(data, fields, key);
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      errors[key] = `${field.label} must be a number`;
+    } else if (field.integer && !Number.isInteger(value)) {
+      errors[key] = `${field.label} must be a whole number`;
+    } else if (value < field.min || value > field.max) {
+      errors[key] = `${field.label} must be between ${field.min} and ${field.max}`;
+    }
+  });
+  return errors;
+};
@@ -0,0 +1,121 @@
+import { getNodeType } from '../nodes';
+
+// --- Prompt Templates --- //
+// LLM Engine system prompts may reference `{{variable}}` placeholders. Built-in
+// variables are supplied by nodes upstream of the LLM (each node type lists
+// them in `provides`); custom variables are defined on the LLM node itself
+// (`data.promptVariables`).
+
+const LIBRARY_KEY = 'genai-stack.prompt-library';
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][\w]*)\s*\}\}/g;
+
+export const SAMPLE_VALUES = {
+  context: '[1] handbook.pdf: "Employees accrue 1.5 vacation days per month..."\n[2] handbook.pdf: "Unused days roll over up to 10 days."',
+  history: 'User: Hi, who are you?\nAssistant: I am the company HR assistant.',
+  previous_output: '(response from the previous LLM step)',
+  search_results: '1. Vacation policy - example.com/hr/vacation\n2. PTO FAQ - example.com/hr/faq',
+  tool_output: '{"status": "ok"}'
+};
+
+export const extractVariables = (template) => {
+  const names = new Set();
+  let match = VARIABLE_PATTERN.exec(template || '');
+  while (match) {
+    names.add(match[1]);
+    match = VARIABLE_PATTERN.exec(template);
+  }
+  VARIABLE_PATTERN.lastIndex = 0;
+  return [...names];
+};
+
+const ancestorsOf = (nodeId, nodes, edges) => {
+  const seen = new Set();
+  const stack = [nodeId];
+  while (stack.length) {
+    const id = stack.pop();
+    edges.filter((e) => e.target === id).forEach((e) => {
+      if (!seen.has(e.source)) {
+        seen.add(e.source);
+        stack.push(e.source);
+      }
+    });
+  }
+  return nodes.filter((n) => seen.has(n.id));
+};
+
+// Variables an LLM node can use: { name: { source, description } }
+export const availableVariables = (node, nodes, edges) => {
+  const vars = {};
+  if (node.data.historyMode && node.data.historyMode !== 'off') {
+    vars.history = { source: 'Conversation History', description: 'Previous conversation turns' };
+  }
+  ancestorsOf(node.id, nodes, edges).forEach((upstream) => {
+    const definition = getNodeType(upstream.type);
+    Object.entries(definition?.provides || {}).forEach(([name, description]) => {
+      vars[name] = { source: definition.label, description };
+    });
+  });
+  (node.data.promptVariables || []).forEach((v) => {
+    if (v.name) vars[v.name] = { source: 'Custom variable', description: v.value };
+  });
+  return vars;
+};
+
+// Referenced variables that nothing provides
+export const missingVariables = (node, nodes, edges) => {
+  const available = availableVariables(node, nodes, edges);
+  return extractVariables(node.data.prompt).filter((name) => !(name in available));
+};
+
+export const renderTemplate = (template, values) =>
+  (template || '').replace(VARIABLE_PATTERN, (placeholder, name) =>
+    (values[name] !== undefined ? values[name] : placeholder));
+
+// Custom variables for the backend payload
+export const promptConfig = (data) => ({
+  prompt_variables: Object.fromEntries(
+    (data.promptVariables || []).filter((v) => v.name).map((v) => [v.name, v.value])
+  )
+});
+
+// --- Saved Prompt Library --- //
+const BUILTIN_PROMPTS = [
+  {
+    id: 'builtin_rag',
+    name: 'Grounded answer (RAG)',
+    builtin: true,
+    template: 'You are a helpful assistant. Answer using only the context below. If the answer is not in the context, say you do not know.\n\nContext:\n{{context}}\n\nQuestion: {{query}}'
+  },
+  {
+    id: 'builtin_chat',
+    name: 'Conversational assistant',
+    builtin: true,
+    template: 'You are a friendly assistant. Keep answers short.\n\nConversation so far:\n{{history}}'
+  },
+  {
+    id: 'builtin_summary',
+    name: 'Summarizer',
+    builtin: true,
+    template: 'Summarize the following text in {{bullet_count}} bullet points for a {{audience}} audience.\n\n{{context}}'
+  }
+];
+
+const readLibrary = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LIBRARY_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const listPrompts = () => [...BUILTIN_PROMPTS, ...readLibrary()];
+
+export const savePrompt = (name, template) => {
+  const prompt = { id: `prompt_${Date.now().toString(36)}`, name, template, createdAt: new Date().toISOString() };
+  localStorage.setItem(LIBRARY_KEY, JSON.stringify([...readLibrary(), prompt]));
+  return prompt;
+};
+
+export const deletePrompt = (id) => {
+  localStorage.setItem(LIBRARY_KEY, JSON.stringify(readLibrary().filter((p) => p.id !== id)));
+};
@@ -0,0 +1,64 @@
+import { numberValue, validateNumberFields } from './numberFields';
+
+// --- Knowledge Base Retrieval Settings --- //
+// Ranges and defaults for the chunking/retrieval options on a Knowledge Base
+// node. Values are stored on node data in camelCase and sent to the backend in
+// the node `config` as snake_case.
+
+export const SPLITTERS = {
+  fixed: 'Fixed size',
+  sentence: 'Sentence',
+  markdown: 'Markdown headings'
+};
+
+export const RETRIEVAL_FIELDS = {
+  chunkSize: { label: 'Chunk Size', min: 100, max: 8000, step: 100, default: 1000, integer: true },
+  chunkOverlap: { label: 'Chunk Overlap', min: 0, max: 2000, step: 50, default: 200, integer: true },
+  topK: { label: 'Top K Results', min: 1, max: 50, step: 1, default: 4, integer: true },
+  similarityThreshold: { label: 'Similarity Threshold', min: 0, max: 1, step: 0.05, default: 0.2, integer: false }
+};
+
+const valueOf = (data, key) => numberValue(data, RETRIEVAL_FIELDS, key);
+
+// Filters as { key, value } strings; imported files may leave either out
+const metadataFilters = (data) => (data.metadataFilters || []).map((f) => ({
+  key: (f.key || '').trim(),
+  value: String(f.value ?? '')
+}));
+
+// Returns { fieldName: message } for every invalid setting
+export const validateRetrievalSettings = (data) => {
+  const errors = validateNumberFields(data, RETRIEVAL_FIELDS);
+
+  if (!errors.chunkOverlap && !errors.chunkSize && valueOf(data, 'chunkOverlap') >= valueOf(data, 'chunkSize')) {
+    errors.chunkOverlap = 'Chunk Overlap must be smaller than Chunk Size';
+  }
+
+  if (data.splitter && !SPLITTERS[data.splitter]) {
+    errors.splitter = `Unknown splitter "${data.splitter}"`;
+  }
+
+  const filters = metadataFilters(data);
+  const keys = filters.map((f) => f.key).filter(Boolean);
+  if (filters.some((f) => !f.key && f.value.trim())) {
+    errors.metadataFilters = 'Every filter needs a key';
+  } else if (new Set(keys).size !== keys.length) {
+    errors.metadataFilters = 'Filter keys must be unique';
+  }
+
+  return errors;
+};
+
+// Resolved settings for the backend payload
+export const retrievalConfig = (data) => ({
+  chunk_size: valueOf(data, 'chunkSize'),
+  chunk_overlap: valueOf(data, 'chunkOverlap'),
+  top_k: valueOf(data, 'topK'),
+  similarity_threshold: valueOf(data, 'similarityThreshold'),
+  splitter: data.splitter || 'fixed',
+  metadata_filters: Object.fromEntries(
+    metadataFilters(data)
+      .filter((f) => f.key)
+      .map((f) => [f.key, f.value])
+  )
+});
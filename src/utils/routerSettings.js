@@ -0,0 +1,76 @@
+// --- Router Settings --- //
+// A Router sends its input down one of several labeled output handles. Routes
+// are picked either by simple text conditions or by an LLM classifier that
+// chooses a route from its label and description. Every router also has an
+// `Otherwise` handle taken when no route matches.
+
+export const ROUTER_MODES = {
+  condition: 'Condition rules',
+  classifier: 'LLM classifier'
+};
+
+export const CONDITION_OPERATORS = {
+  contains: 'contains',
+  equals: 'equals',
+  starts_with: 'starts with',
+  regex: 'matches regex'
+};
+
+export const DEFAULT_ROUTE_HANDLE = 'default';
+
+export const createRoute = (index) => ({
+  id: `route_${Date.now().toString(36)}${index}`,
+  label: `Route ${index}`,
+  operator: 'contains',
+  value: '',
+  description: ''
+});
+
+export const getRoutes = (data) => data.routes || [];
+
+// Output handles drawn on the node, in order. `Otherwise` may stay unconnected.
+export const routerOutputs = (data) => [
+  ...getRoutes(data).map((r) => ({ id: r.id, label: r.label || 'Untitled route' })),
+  { id: DEFAULT_ROUTE_HANDLE, label: 'Otherwise', optional: true }
+];
+
+export const validateRouterSettings = (data) => {
+  const errors = {};
+  const routes = getRoutes(data);
+  const labels = routes.map((r) => (r.label || '').trim().toLowerCase());
+
+  if (!routes.length) {
+    errors.routes = 'Add at least one route';
+  } else if (labels.some((l) => !l)) {
+    errors.routes = 'Every route needs a label';
+  } else if (new Set(labels).size !== labels.length) {
+    errors.routes = 'Route labels must be unique';
+  } else if ((data.routerMode || 'condition') === 'condition') {
+    const incomplete = routes.find((r) => !r.value);
+    const badRegex = routes.find((r) => {
+      if (r.operator !== 'regex' || !r.value) return false;
+      try {
+        RegExp(r.value);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+    if (incomplete) errors.routes = `Route "${incomplete.label}" has no condition value`;
+    else if (badRegex) errors.routes = `Route "${badRegex.label}" has an invalid regex`;
+  }
+
+  return errors;
+};
+
+export const routerConfig = (data) => ({
+  router_mode: data.routerMode || 'condition',
+  route_rules: getRoutes(data).map((r) => ({
+    handle: r.id,
+    label: r.label,
+    operator: r.operator,
+    value: r.value,
+    description: r.description || undefined
+  })),
+  default_handle: DEFAULT_ROUTE_HANDLE
+});
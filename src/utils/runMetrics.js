@@ -0,0 +1,183 @@
+import { estimateTokens } from './chatHistory';
+import { DEFAULT_MODEL } from './llmSettings';
+
+// --- Run Metrics --- //
+// Per chat turn: time to first token, total latency, per-step durations and
+// token usage per LLM node, plus an estimated cost. Stored on the AI message
+// as `metrics`, so they persist with chat sessions:
+//   { ttftMs, totalMs, failed, estimated, steps: [{ nodeId, label, ms }],
+//     usage: [{ nodeId, label, model, promptTokens, completionTokens }] }
+//
+// Usage comes from the stream, either as its own event
+//   event: usage
+//   data: {"node_id": "llm_1", "model": "...", "prompt_tokens": 812, "completion_tokens": 164}
+// or as a `usage` object on a structured status event. When the backend
+// reports none, tokens are estimated from the text (~4 characters per token)
+// and the run is flagged `estimated`.
+
+// USD per million tokens, used when the model catalog has no pricing
+export const MODEL_PRICING = {
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+  'gemma2-9b-it': { input: 0.2, output: 0.2 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 }
+};
+
+const toCount = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+const normalizeUsage = (item, nodes) => {
+  const usage = item.usage || item;
+  const node = nodes.find((n) => n.id === (item.node_id || item.nodeId));
+  const promptTokens = toCount(usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokens);
+  const completionTokens = toCount(usage.completion_tokens ?? usage.output_tokens ?? usage.completionTokens);
+  if (!promptTokens && !completionTokens) return null;
+  return {
+    nodeId: node?.id || null,
+    label: node?.data.label || item.node_id || 'LLM',
+    model: item.model || usage.model || node?.data.model || DEFAULT_MODEL,
+    promptTokens,
+    completionTokens
+  };
+};
+
+// Usage entries from a `usage` event or a status event payload
+export const parseUsage = (data, nodes) => {
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch (error) {
+    return [];
+  }
+  if (!payload || typeof payload !== 'object') return [];
+  const items = Array.isArray(payload) ? payload : [payload];
+  return items
+    .filter((item) => item && typeof item === 'object')
+    .map((item) => normalizeUsage(item, nodes))
+    .filter(Boolean);
+};
+
+// Client-side estimate for backends that do not report usage: one entry per
+// LLM node, each prompted with the query, the history and its own prompt.
+// Only the final answer is visible, so its tokens go to the LLM nodes wired
+// to the Output node (the last LLM node when none is)
+export const estimateUsage = ({ nodes, edges = [], userQuery, history, response }) => {
+  const llms = nodes.filter((n) => n.type === 'llmNode');
+  const context = [userQuery, ...history.map((m) => m.content)].join('\n');
+  if (!llms.length) {
+    return [{
+      nodeId: null,
+      label: 'LLM',
+      model: DEFAULT_MODEL,
+      promptTokens: estimateTokens(context),
+      completionTokens: estimateTokens(response)
+    }];
+  }
+
+  const outputIds = new Set(nodes.filter((n) => n.type === 'outputNode').map((n) => n.id));
+  const answering = new Set(edges.filter((e) => outputIds.has(e.target)).map((e) => e.source));
+  if (!llms.some((n) => answering.has(n.id))) answering.add(llms[llms.length - 1].id);
+
+  return llms.map((llm) => ({
+    nodeId: llm.id,
+    label: llm.data.label || 'LLM',
+    model: llm.data.model || DEFAULT_MODEL,
+    promptTokens: estimateTokens([context, llm.data.prompt || ''].join('\n')),
+    completionTokens: answering.has(llm.id) ? estimateTokens(response) : 0
+  }));
+};
+
+export const buildMetrics = ({ startedAt, firstTokenAt, endedAt, trace, usage, estimated, failed }) => ({
+  ttftMs: firstTokenAt ? firstTokenAt - startedAt : null,
+  totalMs: endedAt - startedAt,
+  failed: Boolean(failed),
+  estimated: Boolean(estimated),
+  steps: trace.steps
+    .filter((s) => s.endedAt)
+    .map((s) => ({ nodeId: s.nodeId, label: s.label, ms: s.endedAt - s.startedAt })),
+  usage
+});
+
+// --- Cost --- //
+// `models` is the model catalog; backend entries may carry `pricing`
+const pricingFor = (model, models = []) =>
+  models.find((m) => m.id === model)?.pricing || MODEL_PRICING[model] || null;
+
+export const estimateCost = (usage, models) => {
+  const priced = usage.map((u) => ({ u, price: pricingFor(u.model, models) }));
+  if (!priced.length || priced.some(({ price }) => !price)) return null;
+  return priced.reduce(
+    (sum, { u, price }) => sum + (u.promptTokens * price.input + u.completionTokens * price.output) / 1e6,
+    0
+  );
+};
+
+export const formatCost = (usd) => {
+  if (usd === null || usd === undefined) return '–';
+  if (usd === 0) return '$0';
+  return usd < 0.01 ? `$${usd.toFixed(5)}` : `$${usd.toFixed(2)}`;
+};
+
+export const formatMs = (ms) => {
+  if (ms === null || ms === undefined) return '–';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
+};
+
+export const totalTokens = (usage) => usage.reduce(
+  (sum, u) => ({ prompt: sum.prompt + u.promptTokens, completion: sum.completion + u.completionTokens }),
+  { prompt: 0, completion: 0 }
+);
+
+// --- Aggregation --- //
+const average = (values) => (values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+const p95 = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+};
+
+// Aggregate the metrics of every AI message in `messages`
+export const summarizeMetrics = (messages, models) => {
+  const runs = messages.filter((m) => m.role === 'ai' && m.metrics).map((m) => m.metrics);
+  const ok = runs.filter((r) => !r.failed);
+  const usage = runs.flatMap((r) => r.usage);
+  const tokens = totalTokens(usage);
+
+  const byModel = {};
+  usage.forEach((u) => {
+    const entry = byModel[u.model] || { model: u.model, calls: 0, promptTokens: 0, completionTokens: 0 };
+    entry.calls += 1;
+    entry.promptTokens += u.promptTokens;
+    entry.completionTokens += u.completionTokens;
+    byModel[u.model] = entry;
+  });
+
+  const bySteps = {};
+  runs.flatMap((r) => r.steps).forEach((s) => {
+    (bySteps[s.label] = bySteps[s.label] || []).push(s.ms);
+  });
+
+  return {
+    runs: runs.length,
+    failed: runs.length - ok.length,
+    estimated: runs.some((r) => r.estimated),
+    avgTtftMs: average(ok.map((r) => r.ttftMs).filter((ms) => ms !== null)),
+    avgTotalMs: average(ok.map((r) => r.totalMs)),
+    p95TotalMs: p95(ok.map((r) => r.totalMs)),
+    promptTokens: tokens.prompt,
+    completionTokens: tokens.completion,
+    cost: estimateCost(usage, models),
+    models: Object.values(byModel).map((entry) => ({
+      ...entry,
+      cost: estimateCost([entry], models)
+    })),
+    steps: Object.entries(bySteps).map(([label, values]) => ({
+      label,
+      runs: values.length,
+      avgMs: average(values),
+      p95Ms: p95(values)
+    }))
+  };
+};
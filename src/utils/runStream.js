@@ -0,0 +1,44 @@
+import { streamApi } from './apiClient';
+import { buildWorkflowPayload } from './workflowPayload';
+
+// --- Workflow Run Stream --- //
+// One `/run_workflow` request and the reading of its answer, shared by the
+// chat (hooks/useStackChat) and batch evaluation (utils/evaluation) so both
+// see the same response for the same stream.
+
+// Accumulates the answer: `data:` chunks, where the backend escapes newlines
+// as "\\n", with the `final:` line as fallback when nothing was streamed
+export const createResponseReader = () => {
+  let streamed = '';
+  let finalContent = '';
+
+  return {
+    // Returns true when `event` is part of the answer
+    read: (event) => {
+      if (event.type === 'message') {
+        streamed += event.data.replace(/\\n/g, '\n');
+        return true;
+      }
+      if (event.type === 'final') {
+        const content = event.data.trim();
+        if (content && content !== 'No response') finalContent = content;
+        return true;
+      }
+      return false;
+    },
+    streamed: () => streamed,
+    response: () => streamed || finalContent
+  };
+};
+
+// Streams a run of the stack; other options (signal, onEvent, onOpen,
+// onRetry) are passed to streamApi
+export const streamWorkflowRun = ({ nodes, edges, userQuery, history = [], ...options }) =>
+  streamApi('/run_workflow', {
+    ...options,
+    body: {
+      // Matches the backend WorkflowRequest schema
+      ...buildWorkflowPayload(nodes, edges, userQuery),
+      chat_history: history
+    }
+  });
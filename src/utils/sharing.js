@@ -0,0 +1,97 @@
+// --- Published Chat --- //
+// A saved workflow can be published as a standalone chat page
+// (`/?share=<workflow id>`) or as a floating widget on any site through
+// `public/embed.js`, which opens the same page in an iframe with `embed=1`.
+// Publish options travel in the URL, so nothing has to be stored to share:
+//   version    pinned workflow version (latest when empty)
+//   theme      'light' | 'dark'
+//   accent     accent colour (#rrggbb)
+//   title      header title (defaults to the workflow name)
+//   greeting   first AI message
+//   readonly   visitors can only ask questions: conversations are not kept in
+//              their browser and the execution trace stays hidden
+// The embed script also takes `position` ('right' | 'left') for the launcher.
+//
+// The page loads the workflow like the library does: from the backend's
+// `/workflows` when available, otherwise from this browser's saved stacks -
+// so a stack the backend does not have only opens for its author (the Share
+// dialog warns about that).
+
+export const SHARE_THEMES = { light: 'Light', dark: 'Dark' };
+export const WIDGET_POSITIONS = { right: 'Bottom right', left: 'Bottom left' };
+
+export const DEFAULT_SHARE_GREETING = 'Hi! How can I help you today?';
+
+export const DEFAULT_SHARE_OPTIONS = {
+  version: null,
+  theme: 'light',
+  accent: '#2563eb',
+  title: '',
+  greeting: '',
+  readOnly: false,
+  position: 'right'
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Root URL of this app, e.g. "https://stacks.example.com/"
+export const appBaseUrl = () => `${window.location.origin}${process.env.PUBLIC_URL || ''}/`;
+
+// Only non-default options are written, to keep links short
+const shareParams = (workflowId, options) => {
+  const params = new URLSearchParams({ share: workflowId });
+  if (options.version) params.set('version', options.version);
+  if (options.theme !== DEFAULT_SHARE_OPTIONS.theme) params.set('theme', options.theme);
+  if (options.accent !== DEFAULT_SHARE_OPTIONS.accent) params.set('accent', options.accent);
+  if (options.title.trim()) params.set('title', options.title.trim());
+  if (options.greeting.trim()) params.set('greeting', options.greeting.trim());
+  if (options.readOnly) params.set('readonly', '1');
+  return params;
+};
+
+export const buildShareUrl = (workflowId, options, base = appBaseUrl()) =>
+  `${base}?${shareParams(workflowId, options)}`;
+
+const escapeAttr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+export const buildEmbedSnippet = (workflowId, options, base = appBaseUrl()) => {
+  const attrs = [
+    ['data-stack', workflowId],
+    ['data-version', options.version],
+    ['data-theme', options.theme],
+    ['data-accent', options.accent],
+    ['data-title', options.title.trim()],
+    ['data-greeting', options.greeting.trim()],
+    ['data-readonly', options.readOnly ? 'true' : ''],
+    ['data-position', options.position]
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `\n  ${name}="${escapeAttr(value)}"`)
+    .join('');
+  return `<script src="${base}embed.js"${attrs}\n  async></script>`;
+};
+
+// Options of a published chat page from `window.location.search`, or null
+// when the URL is not a share link
+export const parseShareParams = (search) => {
+  const params = new URLSearchParams(search);
+  const workflowId = params.get('share');
+  if (!workflowId) return null;
+
+  const version = parseInt(params.get('version'), 10);
+  const theme = params.get('theme');
+  const accent = params.get('accent');
+  return {
+    workflowId,
+    version: Number.isNaN(version) ? null : version,
+    theme: SHARE_THEMES[theme] ? theme : DEFAULT_SHARE_OPTIONS.theme,
+    accent: HEX_COLOR.test(accent || '') ? accent : DEFAULT_SHARE_OPTIONS.accent,
+    title: params.get('title') || '',
+    greeting: params.get('greeting') || '',
+    readOnly: ['1', 'true'].includes(params.get('readonly')),
+    embed: params.get('embed') === '1'
+  };
+};
+
+// Conversations on a published page are kept apart from the builder's
+export const sharedSessionKey = (workflowId) => `shared:${workflowId}`;
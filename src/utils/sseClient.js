@@ -0,0 +1,212 @@
+import { httpError } from './apiErrors';
+
+// --- Server-Sent Events Client --- //
+// fetch-based SSE client (EventSource cannot POST a request body). Parsing
+// follows the EventSource wire format:
+//   - lines end with CRLF, LF or CR; a blank line dispatches the event
+//   - `data:` lines accumulate, joined with "\n" (multi-line data)
+//   - `event:` sets the type (default "message"), `id:` the last event id,
+//     `retry:` the reconnection delay in ms
+//   - lines starting with ":" are comments (used as keep-alives)
+//
+// `/run_workflow` also emits bare `status:` and `final:` lines. Any field that
+// is not part of the spec is treated as shorthand for `event: <field>` plus
+// `data: <value>`, so those arrive as "status" / "final" events. The legacy
+// backend does not always end them with a blank line, so each one is
+// dispatched as soon as its line is read.
+
+export const createSSEParser = (onEvent) => {
+  let buffer = '';
+  let data = [];
+  let eventType = '';
+  let hasData = false;
+  let lastEventId = '';
+  let retry = null;
+
+  const dispatch = () => {
+    if (hasData) {
+      onEvent({
+        type: eventType || 'message',
+        data: data.join('\n'),
+        id: lastEventId
+      });
+    }
+    data = [];
+    eventType = '';
+    hasData = false;
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') {
+      data.push(value);
+      hasData = true;
+    } else if (field === 'event') {
+      eventType = value;
+    } else if (field === 'id') {
+      if (!value.includes('\0')) lastEventId = value;
+    } else if (field === 'retry') {
+      if (/^\d+$/.test(value)) retry = parseInt(value, 10);
+    } else {
+      // Legacy backend shorthand, e.g. `status: Retrieving context`. Pending
+      // `data:` lines go out first to keep the order of the stream.
+      dispatch();
+      onEvent({ type: field, data: value, id: lastEventId });
+    }
+  };
+
+  // Split on CRLF, LF or CR. A trailing CR is held back in case the matching
+  // LF arrives in the next chunk.
+  const feed = (text) => {
+    buffer += text;
+    const pattern = /\r\n|\n|\r(?=[^\n])/g;
+    let start = 0;
+    let match = pattern.exec(buffer);
+    while (match) {
+      processLine(buffer.slice(start, match.index));
+      start = match.index + match[0].length;
+      match = pattern.exec(buffer);
+    }
+    buffer = buffer.slice(start);
+  };
+
+  // End of stream: per spec an incomplete event is discarded, but the legacy
+  // backend omits the final blank line, so dispatch whatever is complete.
+  const flush = () => {
+    if (buffer.endsWith('\r')) buffer = buffer.slice(0, -1);
+    if (buffer) processLine(buffer);
+    buffer = '';
+    dispatch();
+  };
+
+  return {
+    feed,
+    flush,
+    getLastEventId: () => lastEventId,
+    getRetry: () => retry
+  };
+};
+
+// Waits `ms`; rejects with an AbortError as soon as `signal` aborts (or
+// straight away when it already has)
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// POST (or GET) a request and stream its SSE response to `onEvent`.
+//
+// Dropped connections are retried up to `maxRetries` times, waiting the
+// server-provided `retry:` delay (or `retryDelay`). A retry only happens when
+// it cannot duplicate output: either nothing has been received yet, or the
+// server sent event ids so it can resume from `Last-Event-ID`.
+//
+// `fetchFn` replaces the global fetch (the API client passes the mock backend
+// in mock mode).
+//
+// Resolves when the stream ends; rejects with an AbortError when `signal` is
+// aborted, or with an Error carrying `status`/`detail` for HTTP failures
+// (see utils/apiErrors).
+export const streamSSE = async (url, {
+  method = 'POST',
+  headers = {},
+  body,
+  signal,
+  onEvent,
+  onOpen,
+  onRetry,
+  maxRetries = 2,
+  retryDelay = 1000,
+  fetchFn = fetch
+} = {}) => {
+  let attempt = 0;
+  let lastEventId = '';
+  let receivedAny = false;
+  let delay = retryDelay;
+  const handleEvent = (event) => {
+    receivedAny = true;
+    onEvent(event);
+  };
+
+  while (true) {
+    const parser = createSSEParser(handleEvent);
+
+    try {
+      const response = await fetchFn(url, {
+        method,
+        headers: {
+          Accept: 'text/event-stream',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal
+      });
+
+      if (!response.ok) {
+        throw httpError(response.status, await response.text().catch(() => ''));
+      }
+
+      if (onOpen) onOpen(response);
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          parser.feed(decoder.decode(value, { stream: true }));
+          lastEventId = parser.getLastEventId() || lastEventId;
+          delay = parser.getRetry() ?? delay;
+        }
+        parser.feed(decoder.decode());
+        parser.flush();
+        return;
+      } catch (readError) {
+        if (isAbortError(readError)) throw readError;
+        readError.retryable = true;
+        throw readError;
+      }
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) throw error;
+
+      // fetch() rejects with TypeError on network failure
+      const retryable = error.retryable || error instanceof TypeError;
+      const canResume = !receivedAny || Boolean(lastEventId);
+      if (!retryable || !canResume || attempt >= maxRetries) {
+        if (receivedAny && !error.status) {
+          error.message = `Stream interrupted: ${error.message}`;
+        }
+        throw error;
+      }
+
+      attempt += 1;
+      if (onRetry) onRetry({ attempt, delay, error });
+      await sleep(delay * attempt, signal);
+    }
+  }
+};
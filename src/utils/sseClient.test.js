@@ -0,0 +1,193 @@
+/**
+ * @jest-environment node
+ */
+import { createSSEParser, streamSSE, isAbortError } from './sseClient';
+
+// --- Recorded Streams --- //
+// Raw response bodies captured from `/run_workflow` and from a spec-compliant
+// SSE server, kept byte for byte (line endings included).
+const FIXTURES = {
+  // Legacy backend: bare status/final lines, escaped newlines in data
+  legacy: [
+    'status: {"node_id": "input_1", "state": "running", "message": "Received user query"}\n\n',
+    'status: {"node_id": "input_1", "state": "completed", "message": "Done"}\n\n',
+    'data: Hello\n\n',
+    'data: world\\n\\nSecond paragraph\n\n',
+    'final: Hello world Second paragraph\n'
+  ].join(''),
+  // Legacy backend without the blank line after a status line
+  legacyUnterminated: 'status: Retrieving context\ndata: Hello\n\nfinal: Hello',
+  // Spec stream with multi-line data, typed events, ids, retry and comments
+  spec: [
+    ': keep-alive\n',
+    'retry: 2500\n',
+    'id: 1\n',
+    'data: first line\n',
+    'data: second line\n',
+    '\n',
+    ':another comment\n',
+    'event: sources\n',
+    'id: 2\n',
+    'data: [{"document_id": "doc_1", "chunk_index": 0}]\n',
+    '\n',
+    'data:no space after colon\n',
+    'data\n',
+    '\n'
+  ].join(''),
+  crlf: 'event: status\r\ndata: a\r\n\r\ndata: b\r\n\r\n',
+  cr: 'event: status\rdata: a\r\rdata: b\r\r'
+};
+
+const collect = (text, chunkSize = text.length) => {
+  const events = [];
+  const parser = createSSEParser((event) => events.push(event));
+  for (let i = 0; i < text.length; i += chunkSize) parser.feed(text.slice(i, i + chunkSize));
+  parser.flush();
+  return { events, parser };
+};
+
+const encoder = new TextEncoder();
+
+// A fetch Response whose body yields `chunks` and then either ends or fails
+// with `error`. Reads reject with an AbortError once `signal` aborts.
+const streamResponse = (chunks, { error, signal, hang } = {}) => {
+  const queue = chunks.map((chunk) => encoder.encode(chunk));
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () => {
+          if (queue.length) return Promise.resolve({ done: false, value: queue.shift() });
+          if (error) return Promise.reject(error);
+          if (!hang) return Promise.resolve({ done: true });
+          return new Promise((resolve, reject) => {
+            const abort = () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+            if (signal.aborted) abort();
+            else signal.addEventListener('abort', abort);
+          });
+        }
+      })
+    }
+  };
+};
+
+describe('createSSEParser', () => {
+  it('parses the legacy status/final shorthand', () => {
+    const { events } = collect(FIXTURES.legacy);
+    expect(events.map((e) => e.type)).toEqual(['status', 'status', 'message', 'message', 'final']);
+    expect(JSON.parse(events[0].data)).toMatchObject({ node_id: 'input_1', state: 'running' });
+    expect(events[3].data).toBe('world\\n\\nSecond paragraph');
+    expect(events[4].data).toBe('Hello world Second paragraph');
+  });
+
+  it('dispatches shorthand lines without waiting for a blank line', () => {
+    const { events } = collect(FIXTURES.legacyUnterminated);
+    expect(events).toEqual([
+      { type: 'status', data: 'Retrieving context', id: '' },
+      { type: 'message', data: 'Hello', id: '' },
+      { type: 'final', data: 'Hello', id: '' }
+    ]);
+  });
+
+  it('joins multi-line data and reads event, id and retry fields', () => {
+    const { events, parser } = collect(FIXTURES.spec);
+    expect(events).toEqual([
+      { type: 'message', data: 'first line\nsecond line', id: '1' },
+      { type: 'sources', data: '[{"document_id": "doc_1", "chunk_index": 0}]', id: '2' },
+      { type: 'message', data: 'no space after colon\n', id: '2' }
+    ]);
+    expect(parser.getLastEventId()).toBe('2');
+    expect(parser.getRetry()).toBe(2500);
+  });
+
+  it('ignores comment lines', () => {
+    const { events } = collect(': ping\n\n: ping\ndata: x\n\n');
+    expect(events).toEqual([{ type: 'message', data: 'x', id: '' }]);
+  });
+
+  it.each([
+    ['CRLF', FIXTURES.crlf],
+    ['CR', FIXTURES.cr]
+  ])('handles %s line endings split across chunks', (name, text) => {
+    const expected = [
+      { type: 'status', data: 'a', id: '' },
+      { type: 'message', data: 'b', id: '' }
+    ];
+    for (let size = 1; size <= text.length; size += 1) {
+      expect(collect(text, size).events).toEqual(expected);
+    }
+  });
+
+  it('gives the same events for every chunking of a recorded stream', () => {
+    const whole = collect(FIXTURES.spec).events;
+    for (let size = 1; size < FIXTURES.spec.length; size += 7) {
+      expect(collect(FIXTURES.spec, size).events).toEqual(whole);
+    }
+  });
+});
+
+describe('streamSSE', () => {
+  it('streams a recorded response to onEvent', async () => {
+    const events = [];
+    const fetchFn = jest.fn(async () => streamResponse([FIXTURES.legacy.slice(0, 40), FIXTURES.legacy.slice(40)]));
+    const onOpen = jest.fn();
+    await streamSSE('/run_workflow', { body: { user_query: 'hi' }, onEvent: (e) => events.push(e), onOpen, fetchFn });
+
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(events.map((e) => e.type)).toEqual(['status', 'status', 'message', 'message', 'final']);
+    const [, init] = fetchFn.mock.calls[0];
+    expect(init.headers.Accept).toBe('text/event-stream');
+    expect(JSON.parse(init.body)).toEqual({ user_query: 'hi' });
+  });
+
+  it('rejects with an AbortError when aborted mid-stream', async () => {
+    const controller = new AbortController();
+    const events = [];
+    const fetchFn = async (url, { signal }) => streamResponse(['data: partial\n\n'], { signal, hang: true });
+    const promise = streamSSE('/run_workflow', {
+      signal: controller.signal,
+      onEvent: (e) => {
+        events.push(e);
+        controller.abort();
+      },
+      fetchFn
+    });
+
+    const error = await promise.catch((e) => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(events).toHaveLength(1);
+  });
+
+  it('reconnects with Last-Event-ID after a dropped connection', async () => {
+    const events = [];
+    const onRetry = jest.fn();
+    const fetchFn = jest.fn()
+      .mockResolvedValueOnce(streamResponse(
+        ['retry: 1\nid: 7\ndata: one\n\n'],
+        { error: new TypeError('network error') }
+      ))
+      .mockResolvedValueOnce(streamResponse(['id: 8\ndata: two\n\n']));
+
+    await streamSSE('/run_workflow', { onEvent: (e) => events.push(e), onRetry, fetchFn });
+
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+    expect(fetchFn.mock.calls[0][1].headers['Last-Event-ID']).toBeUndefined();
+    expect(fetchFn.mock.calls[1][1].headers['Last-Event-ID']).toBe('7');
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, delay: 1 }));
+    expect(events.map((e) => e.data)).toEqual(['one', 'two']);
+  });
+
+  it('does not retry a stream without ids once output was received', async () => {
+    const fetchFn = jest.fn(async () => streamResponse(['data: one\n\n'], { error: new TypeError('network error') }));
+    await expect(streamSSE('/run_workflow', { onEvent: () => {}, fetchFn, retryDelay: 1 }))
+      .rejects.toThrow('Stream interrupted: network error');
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails HTTP errors without retrying', async () => {
+    const fetchFn = jest.fn(async () => ({ ok: false, status: 422, text: async () => '{"detail": "Invalid workflow"}' }));
+    await expect(streamSSE('/run_workflow', { onEvent: () => {}, fetchFn })).rejects.toMatchObject({ status: 422 });
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,110 @@
+import { DEFAULT_MODEL } from './llmSettings';
+import { cloneGraph } from './canvasClipboard';
+
+// --- Starter Templates --- //
+// Ready-made stacks offered in the template gallery. Node ids inside a
+// template are short local names; `instantiateTemplate` gives every node and
+// edge a fresh id so a template can be inserted any number of times.
+
+const COLUMN = 260;
+const ROW = 120;
+const at = (col, row = 0) => ({ x: 80 + col * COLUMN, y: 200 + row * ROW });
+
+const node = (id, type, label, position, data = {}) => ({
+  id,
+  type,
+  position,
+  data: { label, subtext: 'Not Configured', ...data }
+});
+
+const edge = (source, target, sourceHandle) => ({ source, target, sourceHandle });
+
+const llm = (id, position, data) => node(id, 'llmNode', 'LLM Engine', position, {
+  model: DEFAULT_MODEL,
+  subtext: data.model || DEFAULT_MODEL,
+  ...data
+});
+
+export const STARTER_TEMPLATES = [
+  {
+    id: 'chatbot',
+    name: 'Plain chatbot',
+    description: 'A single LLM that remembers the last few turns of the conversation.',
+    nodes: [
+      node('query', 'inputNode', 'User Query', at(0)),
+      llm('llm', at(1), {
+        prompt: 'You are a friendly, concise assistant.\n\nConversation so far:\n{{history}}\n\nUser: {{query}}',
+        historyMode: 'turns',
+        historyTurns: 5
+      }),
+      node('output', 'outputNode', 'Output', at(2))
+    ],
+    edges: [edge('query', 'llm'), edge('llm', 'output')]
+  },
+  {
+    id: 'rag',
+    name: 'RAG over a document',
+    description: 'Answers questions from an uploaded document and cites its sources.',
+    setupNote: 'Upload a document to the Knowledge Base before chatting.',
+    nodes: [
+      node('query', 'inputNode', 'User Query', at(0)),
+      node('kb', 'knowledgeNode', 'Knowledge Base', at(1, 1), { topK: 4, similarityThreshold: 0.2 }),
+      llm('llm', at(2), {
+        prompt: 'Answer the question using only the context below. If the answer is not in the context, say you do not know.\n\nContext:\n{{context}}\n\nQuestion: {{query}}',
+        temperature: 0.2
+      }),
+      node('output', 'outputNode', 'Output', at(3))
+    ],
+    edges: [edge('query', 'kb'), edge('query', 'llm'), edge('kb', 'llm'), edge('llm', 'output')]
+  },
+  {
+    id: 'router',
+    name: 'Router with two LLMs',
+    description: 'Sends technical questions to a precise model and everything else to a fast one.',
+    nodes: [
+      node('query', 'inputNode', 'User Query', at(0)),
+      node('router', 'routerNode', 'Router', at(1), {
+        routerMode: 'classifier',
+        routes: [
+          { id: 'route_technical', label: 'Technical', operator: 'contains', value: '', description: 'Programming, math or other technical questions' },
+          { id: 'route_general', label: 'General', operator: 'contains', value: '', description: 'Small talk and general knowledge' }
+        ]
+      }),
+      llm('expert', at(2, -1), {
+        prompt: 'You are a senior engineer. Answer precisely and include code where useful.\n\n{{query}}',
+        temperature: 0.2
+      }),
+      llm('fast', at(2, 1), {
+        model: 'llama-3.1-8b-instant',
+        prompt: 'You are a friendly assistant. Keep answers short.\n\n{{query}}'
+      }),
+      node('output', 'outputNode', 'Output', at(3))
+    ],
+    edges: [
+      edge('query', 'router'),
+      edge('router', 'expert', 'route_technical'),
+      edge('router', 'fast', 'route_general'),
+      edge('router', 'fast', 'default'),
+      edge('expert', 'output'),
+      edge('fast', 'output')
+    ]
+  },
+  {
+    id: 'summarizer',
+    name: 'Summarizer',
+    description: 'Paste any text and get a short bullet-point summary.',
+    nodes: [
+      node('query', 'inputNode', 'User Query', at(0)),
+      llm('llm', at(1), {
+        prompt: 'Summarize the text below in {{bullet_count}} bullet points for a {{audience}} audience.\n\n{{query}}',
+        promptVariables: [{ name: 'bullet_count', value: '5' }, { name: 'audience', value: 'general' }],
+        temperature: 0.3
+      }),
+      node('output', 'outputNode', 'Output', at(2))
+    ],
+    edges: [edge('query', 'llm'), edge('llm', 'output')]
+  }
+];
+
+// Copy a template graph onto the canvas with fresh node and edge ids
+export const instantiateTemplate = ({ nodes, edges }) => cloneGraph({ nodes, edges });
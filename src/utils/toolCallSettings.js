@@ -0,0 +1,52 @@
+import { numberValue, validateNumberFields } from './numberFields';
+
+// --- HTTP Tool Call Settings --- //
+// Calls an HTTP endpoint during the run. The URL and body may use prompt
+// variables (`{{query}}`, ...); the (optionally extracted) response is passed
+// downstream as `{{tool_output}}`.
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+export const TOOL_FIELDS = {
+  timeoutMs: { label: 'Timeout (ms)', min: 1000, max: 60000, step: 1000, default: 10000, integer: true }
+};
+
+export const methodHasBody = (method) => !['GET', 'DELETE'].includes(method || 'GET');
+
+export const validateToolCallSettings = (data) => {
+  const errors = validateNumberFields(data, TOOL_FIELDS);
+
+  if (!data.url) {
+    errors.url = 'URL is required';
+  } else {
+    try {
+      const url = new URL(data.url.replace(/\{\{\s*\w+\s*\}\}/g, 'x'));
+      if (!['http:', 'https:'].includes(url.protocol)) errors.url = 'URL must start with http:// or https://';
+    } catch (error) {
+      errors.url = 'URL is not valid';
+    }
+  }
+
+  if ((data.headers || []).some((h) => !h.key && h.value)) {
+    errors.headers = 'Every header needs a name';
+  }
+  if (data.toolName && !/^[a-zA-Z_][\w-]*$/.test(data.toolName)) {
+    errors.toolName = 'Tool name may only contain letters, digits, _ and -';
+  }
+
+  return errors;
+};
+
+export const toolCallConfig = (data) => {
+  const method = data.method || 'GET';
+  return {
+    tool_name: data.toolName || undefined,
+    tool_description: data.toolDescription || undefined,
+    method,
+    url: data.url,
+    request_headers: Object.fromEntries((data.headers || []).filter((h) => h.key).map((h) => [h.key, h.value])),
+    body_template: methodHasBody(method) ? data.bodyTemplate || undefined : undefined,
+    response_path: data.responsePath || undefined,
+    timeout_ms: numberValue(data, TOOL_FIELDS, 'timeoutMs')
+  };
+};
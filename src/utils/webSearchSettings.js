@@ -0,0 +1,39 @@
+import { numberValue, validateNumberFields } from './numberFields';
+
+// --- Web Search Settings --- //
+// Searches the web for the incoming query (or a `{{query}}` template) and
+// passes the top results downstream as `{{search_results}}`.
+
+export const SEARCH_PROVIDERS = {
+  duckduckgo: 'DuckDuckGo',
+  tavily: 'Tavily',
+  brave: 'Brave Search',
+  serpapi: 'SerpAPI (Google)'
+};
+
+export const WEB_SEARCH_FIELDS = {
+  maxResults: { label: 'Max Results', min: 1, max: 20, step: 1, default: 5, integer: true }
+};
+
+const DOMAIN_PATTERN = /^([a-z0-9-]+\.)+[a-z]{2,}$/i;
+
+export const parseDomains = (text) => (text || '')
+  .split(/[\s,]+/)
+  .map((d) => d.trim())
+  .filter(Boolean);
+
+export const validateWebSearchSettings = (data) => {
+  const errors = validateNumberFields(data, WEB_SEARCH_FIELDS);
+  const invalid = parseDomains(data.includeDomains).filter((d) => !DOMAIN_PATTERN.test(d));
+  if (invalid.length) errors.includeDomains = `Not a valid domain: ${invalid.join(', ')}`;
+  if (data.provider && !SEARCH_PROVIDERS[data.provider]) errors.provider = 'Unknown search provider';
+  return errors;
+};
+
+export const webSearchConfig = (data) => ({
+  provider: data.provider || 'duckduckgo',
+  max_results: numberValue(data, WEB_SEARCH_FIELDS, 'maxResults'),
+  safe_search: data.safeSearch !== false,
+  include_domains: parseDomains(data.includeDomains),
+  query_template: data.queryTemplate || '{{query}}'
+});
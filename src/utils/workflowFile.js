@@ -0,0 +1,209 @@
+import { serializeNode, serializeEdge } from './workflowPayload';
+import { withoutFrames, isFrame, groupNodes } from './canvasGroups';
+import { getNodeType } from '../nodes';
+
+// --- Workflow File Format --- //
+//
+// Exported stacks are plain JSON so they can be shared and committed to git.
+// Current layout (schemaVersion 2):
+//
+//   {
+//     "format": "genai-stack-workflow",
+//     "schemaVersion": 2,
+//     "name": "Support RAG",
+//     "exportedAt": "2024-01-01T12:00:00.000Z",
+//     "viewport": { "x": 0, "y": 0, "zoom": 1 },
+//     "workflow": {
+//       "nodes": [
+//         {
+//           "id": "node_1700000000000",
+//           "type": "llmNode",
+//           "position": { "x": 250, "y": 100 },
+//           "data": { "label": "LLM Engine", "config": { "model": "...", "system_prompt": "..." } }
+//         }
+//       ],
+//       "edges": [{ "id": "edge_a_b", "source": "a", "target": "b" }]
+//     },
+//     "groups": [{ "label": "Retrieval", "collapsed": false, "members": ["node_1700000000000"] }]
+//   }
+//
+// Edges leaving a node with several outputs (Router) also carry
+// `"sourceHandle": "<route id>"`.
+//
+// `workflow.nodes` / `workflow.edges` are exactly what `buildWorkflowPayload`
+// sends to the backend, so an exported file can be POSTed as-is. Canvas group
+// frames are canvas-only and go in the optional `groups` list instead (member
+// node ids); framed components keep their canvas position and are re-framed on
+// import.
+//
+// Older schema versions are migrated on import:
+//   1 - `{ "version": 1, "nodes": [...], "edges": [...] }` with the raw
+//       ReactFlow `data` object on each node (no `config` wrapper).
+
+export const FILE_FORMAT = 'genai-stack-workflow';
+export const SCHEMA_VERSION = 2;
+
+// Keys derived from node data by serializeNode; not stored back on import
+const DERIVED_CONFIG_KEYS = ['system_prompt', 'vector_collection_id', 'vector_collection_ids'];
+
+// Keys added by a node type's `serialize`. Keys that simply copy the data
+// field of the same name (e.g. `splitter`, `url`) are real settings and kept.
+const PASS_THROUGH = {};
+const derivedKeys = (type) => {
+  const serialize = getNodeType(type)?.serialize;
+  if (!serialize) return [];
+  return Object.keys(serialize({})).filter((key) => serialize({ [key]: PASS_THROUGH })[key] !== PASS_THROUGH);
+};
+
+export const exportWorkflowFile = ({ name, nodes, edges, viewport }) => ({
+  format: FILE_FORMAT,
+  schemaVersion: SCHEMA_VERSION,
+  name,
+  exportedAt: new Date().toISOString(),
+  viewport: viewport || null,
+  workflow: {
+    nodes: withoutFrames(nodes).map((n) => serializeNode(n)),
+    edges: edges.map(serializeEdge)
+  },
+  groups: nodes.filter(isFrame).map((frame) => ({
+    label: frame.data.label,
+    collapsed: Boolean(frame.data.collapsed),
+    members: nodes.filter((n) => n.parentNode === frame.id).map((n) => n.id)
+  }))
+});
+
+// --- Migrations --- //
+// Each entry upgrades a document from version N to N + 1.
+const migrations = {
+  1: (doc) => ({
+    format: FILE_FORMAT,
+    schemaVersion: 2,
+    name: doc.name,
+    exportedAt: doc.exportedAt,
+    viewport: doc.viewport || null,
+    workflow: {
+      nodes: (doc.nodes || []).map((n) => serializeNode({ ...n, data: n.data || {} })),
+      edges: (doc.edges || []).map(serializeEdge)
+    }
+  })
+};
+
+const detectVersion = (doc) => {
+  if (doc.format === FILE_FORMAT) return doc.schemaVersion;
+  // Pre-format files were bare graphs
+  if (Array.isArray(doc.nodes) && Array.isArray(doc.edges)) return doc.version || 1;
+  return null;
+};
+
+const migrate = (doc) => {
+  let version = detectVersion(doc);
+  if (!Number.isInteger(version)) {
+    throw new Error('Not a GenAI Stack workflow file');
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`File uses schema v${version}; this app supports up to v${SCHEMA_VERSION}. Please update.`);
+  }
+
+  let current = doc;
+  while (version < SCHEMA_VERSION) {
+    current = migrations[version](current);
+    version += 1;
+  }
+  return { doc: current, migratedFrom: detectVersion(doc) };
+};
+
+// --- Validation --- //
+const isPosition = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+
+const validateDoc = (doc) => {
+  const errors = [];
+  const { nodes, edges } = doc.workflow || {};
+
+  if (!Array.isArray(nodes)) errors.push('"workflow.nodes" must be an array');
+  if (!Array.isArray(edges)) errors.push('"workflow.edges" must be an array');
+  if (errors.length) return errors;
+
+  const ids = new Set();
+  nodes.forEach((n, i) => {
+    if (!n || typeof n.id !== 'string') errors.push(`Node #${i + 1} has no string "id"`);
+    else if (ids.has(n.id)) errors.push(`Duplicate node id "${n.id}"`);
+    else ids.add(n.id);
+    if (!n || typeof n.type !== 'string') errors.push(`Node #${i + 1} has no "type"`);
+    if (!n || !isPosition(n.position)) errors.push(`Node "${n?.id}" has an invalid position`);
+  });
+
+  edges.forEach((e, i) => {
+    if (!e || !ids.has(e.source) || !ids.has(e.target)) {
+      errors.push(`Edge #${i + 1} references a node that is not in the file`);
+    }
+  });
+
+  return errors;
+};
+
+const toCanvasNode = (n) => {
+  const config = { ...(n.data?.config || {}) };
+  const data = { label: n.data?.label };
+  if (config.prompt === undefined && config.system_prompt) data.prompt = config.system_prompt;
+  if (config.documentId === undefined && config.vector_collection_id) {
+    data.documentId = config.vector_collection_id;
+  }
+  [...DERIVED_CONFIG_KEYS, ...derivedKeys(n.type)].forEach((key) => delete config[key]);
+  Object.entries(config).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) data[key] = value;
+  });
+
+  return { id: n.id, type: n.type, position: n.position, data };
+};
+
+// Rebuild group frames around imported components. Members that were skipped
+// (unknown type) or already framed are ignored.
+const withGroups = (nodes, groups) => (Array.isArray(groups) ? groups : []).reduce((current, group) => {
+  const members = (group?.members || []).filter((id) => current.some((n) => n.id === id && !n.parentNode));
+  if (!members.length) return current;
+  const [frame, ...rest] = groupNodes(current, members, group.label || 'Group');
+  return [{ ...frame, data: { ...frame.data, collapsed: Boolean(group.collapsed) } }, ...rest];
+}, nodes);
+
+// Parse, migrate and validate an imported file. Nodes whose type this build
+// does not know are left off the canvas and listed in `report.unknownNodes`.
+export const parseWorkflowFile = (text, knownTypes) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!raw || typeof raw !== 'object') throw new Error('Not a GenAI Stack workflow file');
+
+  const { doc, migratedFrom } = migrate(raw);
+  const errors = validateDoc(doc);
+  if (errors.length) {
+    throw new Error(`Invalid workflow file: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+  }
+
+  const unknownNodes = doc.workflow.nodes.filter((n) => !knownTypes.includes(n.type));
+  const skippedIds = new Set(unknownNodes.map((n) => n.id));
+  const nodes = withGroups(doc.workflow.nodes.filter((n) => !skippedIds.has(n.id)).map(toCanvasNode), doc.groups);
+  const edges = doc.workflow.edges
+    .filter((e) => !skippedIds.has(e.source) && !skippedIds.has(e.target))
+    .map((e) => ({
+      id: e.id,
+      source: e.source,
+      target: e.target,
+      sourceHandle: e.sourceHandle || null,
+      targetHandle: e.targetHandle || null
+    }));
+
+  return {
+    name: doc.name,
+    viewport: doc.viewport,
+    nodes,
+    edges,
+    report: {
+      migratedFrom: migratedFrom < SCHEMA_VERSION ? migratedFrom : null,
+      unknownNodes: unknownNodes.map((n) => ({ id: n.id, type: n.type })),
+      droppedEdges: doc.workflow.edges.length - edges.length
+    }
+  };
+};
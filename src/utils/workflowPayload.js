@@ -0,0 +1,47 @@
+import { getNodeType } from '../nodes';
+import { withoutFrames } from './canvasGroups';
+import { DEFAULT_MODEL, DEFAULT_SYSTEM_PROMPT } from './llmSettings';
+
+// --- Backend Payload --- //
+// Converts ReactFlow nodes/edges into the WorkflowRequest shape expected by
+// `/workflows/validate` and `/run_workflow`. Type-specific settings come from
+// each node type's `serialize` in the registry. Canvas group frames are left
+// out and framed components are sent at their canvas position.
+
+// `defaults` fills model/system prompt when a node has not been configured yet
+export const serializeNode = (node, defaults = {}) => ({
+  id: node.id,
+  type: node.type,
+  data: {
+    label: node.data.label || node.type,
+    config: {
+      model: node.data.model || defaults.model,
+      system_prompt: node.data.prompt || defaults.systemPrompt,
+      vector_collection_id: node.data.documentId,
+      vector_collection_ids: node.data.documentIds,
+      ...(getNodeType(node.type)?.serialize(node.data) || {}),
+      ...node.data
+    }
+  },
+  position: node.position
+});
+
+export const serializeEdge = (edge) => ({
+  id: edge.id || `edge_${edge.source}_${edge.target}`,
+  source: edge.source,
+  target: edge.target,
+  // Set when the source has several outputs (e.g. Router routes)
+  sourceHandle: edge.sourceHandle || undefined,
+  targetHandle: edge.targetHandle || undefined
+});
+
+// Model and system prompt for LLM nodes that have none yet. Planning
+// (`/workflows/validate`) and running a stack use the same ones, so the
+// execution plan shows the config the run will actually send.
+export const PAYLOAD_DEFAULTS = { model: DEFAULT_MODEL, systemPrompt: DEFAULT_SYSTEM_PROMPT };
+
+export const buildWorkflowPayload = (nodes, edges, userQuery = '', defaults = PAYLOAD_DEFAULTS) => ({
+  nodes: withoutFrames(nodes).map((n) => serializeNode(n, defaults)),
+  edges: edges.map(serializeEdge),
+  user_query: userQuery
+});
@@ -0,0 +1,195 @@
+import { apiRequest } from './apiClient';
+
+// --- Workflow Storage --- //
+// Saved stacks live in localStorage so they survive reloads offline. When the
+// backend exposes `/workflows` CRUD we use it as the source of truth and keep
+// the local copy in sync as a fallback.
+
+const STORAGE_KEY = 'genai-stack.workflows';
+const DRAFT_KEY = 'genai-stack.draft';
+const TEMPLATES_KEY = 'genai-stack.templates';
+const MAX_VERSIONS = 20;
+
+// Local store helpers
+const readStore = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Corrupt workflow store, starting fresh:', error);
+    return {};
+  }
+};
+
+const writeStore = (store) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+};
+
+const summarize = (workflow) => ({
+  id: workflow.id,
+  name: workflow.name,
+  updatedAt: workflow.updatedAt,
+  versionCount: workflow.versions.length,
+  latestVersion: workflow.versions[workflow.versions.length - 1]?.version || 0
+});
+
+// Returns the parsed body, or null when the backend is unreachable or does not
+// implement the endpoint (so callers fall back to localStorage). No retries:
+// the local copy is a good enough answer.
+const requestBackend = async (path, options = {}) => {
+  try {
+    return await apiRequest(path, { retries: 0, ...options });
+  } catch (error) {
+    if (error.kind === 'network' || error.kind === 'timeout') return null;
+    if (error.status === 404 || error.status === 405) return null;
+    throw error;
+  }
+};
+
+// Strip ReactFlow runtime fields (selection, measured size) before persisting
+// Frames keep their size (`style`) and members their frame (`parentNode`)
+export const toStoredGraph = (nodes, edges) => ({
+  nodes: nodes.map(({ id, type, position, data, style, parentNode, extent }) => ({
+    id, type, position, data, style, parentNode, extent
+  })),
+  edges: edges.map(({ id, source, target, sourceHandle, targetHandle }) => ({
+    id, source, target, sourceHandle, targetHandle
+  }))
+});
+
+const generateId = () => `wf_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+// List saved workflows, newest first
+export const listWorkflows = async () => {
+  const remote = await requestBackend('/workflows');
+  if (remote) {
+    const items = Array.isArray(remote) ? remote : remote.workflows || [];
+    return items.map((wf) => (wf.versions ? summarize(wf) : wf));
+  }
+
+  return Object.values(readStore())
+    .map(summarize)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Full workflow record (null when unknown) and whether it came from the
+// backend. Only `synced` workflows can be opened from another browser.
+export const fetchWorkflow = async (id) => {
+  const remote = await requestBackend(`/workflows/${encodeURIComponent(id)}`);
+  if (remote) return { workflow: remote, synced: true };
+  return { workflow: readStore()[id] || null, synced: false };
+};
+
+// Load a full workflow record including its version history
+export const loadWorkflow = async (id) => {
+  const { workflow } = await fetchWorkflow(id);
+  if (!workflow) throw new Error('Workflow not found');
+  return workflow;
+};
+
+// Save a new version of a workflow. Creates the workflow when `id` is empty.
+// The version number continues the backend's history when it has the
+// workflow (it may have been saved from another browser), else the local one.
+export const saveWorkflow = async ({ id, name, nodes, edges, viewport }) => {
+  const workflowId = id || generateId();
+  const { workflow: existing, synced: onBackend } = id
+    ? await fetchWorkflow(workflowId)
+    : { workflow: null, synced: false };
+  const now = new Date().toISOString();
+
+  const versions = existing?.versions || [];
+  const version = {
+    version: (versions[versions.length - 1]?.version || 0) + 1,
+    savedAt: now,
+    nodes,
+    edges,
+    viewport: viewport || null
+  };
+
+  const workflow = {
+    id: workflowId,
+    name: name || existing?.name || 'Untitled Stack',
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    versions: [...versions, version].slice(-MAX_VERSIONS)
+  };
+
+  const store = readStore();
+  store[workflowId] = workflow;
+  writeStore(store);
+
+  const remote = await requestBackend(
+    onBackend ? `/workflows/${encodeURIComponent(workflowId)}` : '/workflows',
+    { method: onBackend ? 'PUT' : 'POST', body: workflow }
+  );
+
+  return { workflow: remote?.id ? remote : workflow, synced: Boolean(remote) };
+};
+
+// Delete a workflow and all of its versions
+export const deleteWorkflow = async (id) => {
+  const store = readStore();
+  delete store[id];
+  writeStore(store);
+
+  await requestBackend(`/workflows/${encodeURIComponent(id)}`, { method: 'DELETE' });
+};
+
+// --- Team Templates --- //
+// Workflows saved as reusable templates. Shared through the backend
+// `/templates` endpoints when available, otherwise kept in this browser.
+const readTemplates = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TEMPLATES_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const listTemplates = async () => {
+  const remote = await requestBackend('/templates');
+  if (remote) {
+    return { templates: Array.isArray(remote) ? remote : remote.templates || [], shared: true };
+  }
+  return { templates: readTemplates(), shared: false };
+};
+
+export const saveTemplate = async ({ name, description, nodes, edges }) => {
+  const template = {
+    id: `tpl_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    description: description || '',
+    createdAt: new Date().toISOString(),
+    nodes,
+    edges
+  };
+
+  const remote = await requestBackend('/templates', { method: 'POST', body: template });
+  if (remote) return { template: remote.id ? remote : template, shared: true };
+
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify([template, ...readTemplates()]));
+  return { template, shared: false };
+};
+
+export const deleteTemplate = async (id) => {
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify(readTemplates().filter((t) => t.id !== id)));
+  await requestBackend(`/templates/${encodeURIComponent(id)}`, { method: 'DELETE' });
+};
+
+// --- Unsaved Draft --- //
+// The working canvas is mirrored here on every change so a reload does not
+// lose edits that were never saved to the library.
+export const saveDraft = (draft) => {
+  try {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+  } catch (error) {
+    console.error('Draft save error:', error);
+  }
+};
+
+export const loadDraft = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DRAFT_KEY));
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,203 @@
+import { getNodeType } from '../nodes';
+import { missingVariables } from './promptTemplates';
+import { withoutFrames } from './canvasGroups';
+
+// --- Workflow Validation --- //
+// Client-side graph checks run before a stack is built or executed. Each issue
+// names the nodes/edges it concerns so the canvas can highlight them. Which
+// types may connect, and each type's config rules, come from the node registry.
+
+const nodeName = (node) => node.data?.label || getNodeType(node.type)?.label || node.type;
+
+const startsFlow = (node) => !!getNodeType(node.type)?.startsFlow;
+
+const issue = (severity, message, { nodeIds = [], edgeIds = [] } = {}) => ({
+  severity,
+  message,
+  nodeIds,
+  edgeIds
+});
+
+const reachable = (startIds, adjacency) => {
+  const seen = new Set(startIds);
+  const stack = [...startIds];
+  while (stack.length) {
+    const id = stack.pop();
+    (adjacency.get(id) || []).forEach((next) => {
+      if (!seen.has(next)) {
+        seen.add(next);
+        stack.push(next);
+      }
+    });
+  }
+  return seen;
+};
+
+// Returns the ids of edges that close a cycle (back edges in a DFS)
+const findCycleEdges = (nodes, outgoing) => {
+  const WHITE = 0;
+  const GREY = 1;
+  const BLACK = 2;
+  const color = new Map(nodes.map((n) => [n.id, WHITE]));
+  const backEdges = [];
+
+  const visit = (id) => {
+    color.set(id, GREY);
+    (outgoing.get(id) || []).forEach((edge) => {
+      const state = color.get(edge.target);
+      if (state === GREY) backEdges.push(edge);
+      else if (state === WHITE) visit(edge.target);
+    });
+    color.set(id, BLACK);
+  };
+
+  nodes.forEach((n) => {
+    if (color.get(n.id) === WHITE) visit(n.id);
+  });
+  return backEdges;
+};
+
+// Group frames are canvas decoration and are not validated. `models` is the
+// model catalog the LLM Engine checks max tokens against (the built-in list
+// when omitted).
+export const validateGraph = (canvasNodes, edges, { models } = {}) => {
+  const nodes = withoutFrames(canvasNodes);
+  const issues = [];
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const ofType = (type) => nodes.filter((n) => n.type === type);
+
+  // 1. Required components
+  const inputs = ofType('inputNode');
+  const outputs = ofType('outputNode');
+  const llms = ofType('llmNode');
+  if (!inputs.length) issues.push(issue('error', 'Workflow must have a User Query component'));
+  if (!outputs.length) issues.push(issue('error', 'Workflow must have an Output component'));
+  if (!llms.length) issues.push(issue('error', 'Workflow must have an LLM Engine component'));
+  if (inputs.length > 1) {
+    issues.push(issue('warning', 'Only one User Query component is used per run', {
+      nodeIds: inputs.map((n) => n.id)
+    }));
+  }
+
+  // 2. Dangling edges and incompatible connections
+  const validEdges = [];
+  edges.forEach((edge) => {
+    const source = byId.get(edge.source);
+    const target = byId.get(edge.target);
+    if (!source || !target) {
+      issues.push(issue('error', 'Connection points to a component that no longer exists', {
+        edgeIds: [edge.id]
+      }));
+      return;
+    }
+    const allowed = getNodeType(source.type)?.connectsTo;
+    if (allowed && !allowed.includes(target.type)) {
+      issues.push(issue('error', `${nodeName(source)} cannot feed ${nodeName(target)}`, {
+        nodeIds: [source.id, target.id],
+        edgeIds: [edge.id]
+      }));
+    }
+    validEdges.push(edge);
+  });
+
+  const outgoing = new Map();
+  const incoming = new Map();
+  validEdges.forEach((edge) => {
+    outgoing.set(edge.source, [...(outgoing.get(edge.source) || []), edge]);
+    incoming.set(edge.target, [...(incoming.get(edge.target) || []), edge]);
+  });
+
+  // 3. Unconnected handles
+  nodes.forEach((node) => {
+    if (!startsFlow(node) && !incoming.has(node.id)) {
+      issues.push(issue('error', `${nodeName(node)} has nothing connected to its input`, {
+        nodeIds: [node.id]
+      }));
+    }
+    if (node.type !== 'outputNode' && !outgoing.has(node.id)) {
+      issues.push(issue('error', `${nodeName(node)} output is not connected`, {
+        nodeIds: [node.id]
+      }));
+    }
+    const outputs = getNodeType(node.type)?.outputs;
+    if (outputs && outgoing.has(node.id)) {
+      const used = new Set(outgoing.get(node.id).map((e) => e.sourceHandle));
+      outputs(node.data || {})
+        .filter((output) => !output.optional && !used.has(output.id))
+        .forEach((output) => {
+          issues.push(issue('warning', `${nodeName(node)} output "${output.label}" is not connected`, {
+            nodeIds: [node.id]
+          }));
+        });
+    }
+  });
+
+  // 4. Cycles
+  const cycleEdges = findCycleEdges(nodes, outgoing);
+  cycleEdges.forEach((edge) => {
+    issues.push(issue('error', `Cycle detected through ${nodeName(byId.get(edge.source))} → ${nodeName(byId.get(edge.target))}`, {
+      nodeIds: [edge.source, edge.target],
+      edgeIds: [edge.id]
+    }));
+  });
+
+  // 5. Reachability from User Query to Output
+  if (inputs.length && outputs.length) {
+    const forward = new Map([...outgoing].map(([id, list]) => [id, list.map((e) => e.target)]));
+    const backward = new Map([...incoming].map(([id, list]) => [id, list.map((e) => e.source)]));
+    const fromInput = reachable(inputs.map((n) => n.id), forward);
+    const fromSources = reachable(nodes.filter(startsFlow).map((n) => n.id), forward);
+    const toOutput = reachable(outputs.map((n) => n.id), backward);
+
+    if (!outputs.some((n) => fromInput.has(n.id))) {
+      issues.push(issue('error', 'Output cannot be reached from User Query', {
+        nodeIds: outputs.map((n) => n.id)
+      }));
+    } else if (!llms.some((n) => fromInput.has(n.id) && toOutput.has(n.id))) {
+      issues.push(issue('error', 'No LLM Engine lies on the path from User Query to Output', {
+        nodeIds: llms.map((n) => n.id)
+      }));
+    }
+
+    nodes
+      .filter((n) => !(fromSources.has(n.id) && toOutput.has(n.id)))
+      .filter((n) => incoming.has(n.id) || outgoing.has(n.id) || startsFlow(n))
+      .forEach((n) => {
+        issues.push(issue('warning', `${nodeName(n)} is not on a path from User Query to Output`, {
+          nodeIds: [n.id]
+        }));
+      });
+  }
+
+  // 6. Required configuration
+  nodes.forEach((node) => {
+    const definition = getNodeType(node.type);
+    if (!definition) {
+      issues.push(issue('error', `${nodeName(node)} is not a registered component type`, { nodeIds: [node.id] }));
+      return;
+    }
+    const data = node.data || {};
+    definition.checks(data).forEach(({ severity, message }) => {
+      issues.push(issue(severity, `${nodeName(node)} ${message}`, { nodeIds: [node.id] }));
+    });
+    Object.values(definition.validate(data, { models })).forEach((message) => {
+      issues.push(issue('error', `${nodeName(node)} has an invalid setting: ${message}`, { nodeIds: [node.id] }));
+    });
+  });
+
+  // 7. Prompt template variables must be provided upstream
+  nodes.filter((n) => n.type === 'llmNode').forEach((node) => {
+    const missing = missingVariables(node, nodes, edges);
+    if (missing.length) {
+      issues.push(issue(
+        'error',
+        `${nodeName(node)} prompt uses ${missing.map((v) => `{{${v}}}`).join(', ')} but no upstream node provides it`,
+        { nodeIds: [node.id] }
+      ));
+    }
+  });
+
+  return issues;
+};
+
+export const hasErrors = (issues) => issues.some((i) => i.severity === 'error');